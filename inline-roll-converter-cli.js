@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/**
+ * Pathfinder 2e Inline Roll Converter - command line batch converter
+ *
+ * Converts .txt, .html and Foundry item .json files using the same detection,
+ * business rules and formatting as the converter dialog. HTML (including the
+ * descriptions inside .json files) is converted in place, keeping its markup.
+ *
+ * Usage:
+ *   node inline-roll-converter-cli.js <file|directory>... [options]
+ *
+ * Options:
+ *   --dry-run         Show a diff of the changes without writing any files
+ *   --out <dir>       Write converted files to this directory instead of in place
+ *   --no-formatting   Don't apply the HTML formatting rules to .txt files
+ *   --help            Show this message
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { convert } = require('./inline-roll-converter.js');
+
+const SUPPORTED_EXTENSIONS = ['.txt', '.html', '.json'];
+const SUMMARY_TYPES = ['damage', 'check', 'condition', 'template', 'generic', 'action'];
+
+const USAGE = `Usage: node inline-roll-converter-cli.js <file|directory>... [options]
+
+Options:
+  --dry-run         Show a diff of the changes without writing any files
+  --out <dir>       Write converted files to this directory instead of in place
+  --no-formatting   Don't apply the HTML formatting rules to .txt files
+  --help            Show this message`;
+
+// ==================== ARGUMENTS ====================
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - Parsed options and input paths
+ */
+function parseArgs(argv) {
+    const options = {
+        inputs: [],
+        dryRun: false,
+        outDir: null,
+        formatting: true,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--out':
+                options.outDir = argv[++i];
+                if (!options.outDir) {
+                    throw new Error('--out requires a directory');
+                }
+                break;
+            case '--no-formatting':
+                options.formatting = false;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Expand the input paths into a list of supported files
+ * @param {Array} inputs - Files and directories from the command line
+ * @returns {Array} - Objects with the absolute file path and the root it was found under
+ */
+function collectFiles(inputs) {
+    const files = [];
+
+    const walk = (dir, root) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath, root);
+            } else if (SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                files.push({ file: fullPath, root });
+            }
+        }
+    };
+
+    for (const input of inputs) {
+        const resolved = path.resolve(input);
+        const stats = fs.statSync(resolved);
+        if (stats.isDirectory()) {
+            walk(resolved, resolved);
+        } else {
+            files.push({ file: resolved, root: path.dirname(resolved) });
+        }
+    }
+
+    return files;
+}
+
+// ==================== CONVERSION ====================
+
+/**
+ * Add the replacements that changed the text to a per-type count. Automation already in the
+ * file is detected too, but isn't counted unless converting rewrote it.
+ * @param {Object} counts - Counts keyed by replacement type
+ * @param {Array} replacements - Replacement summaries from convert()
+ */
+function countReplacements(counts, replacements) {
+    for (const replacement of replacements) {
+        if (!replacement.enabled || replacement.rendered === replacement.originalText) continue;
+        counts[replacement.type] = (counts[replacement.type] || 0) + 1;
+    }
+}
+
+/**
+ * Convert a plain text or HTML file
+ * @param {string} content - File contents
+ * @param {string} extension - File extension
+ * @param {Object} options - CLI options
+ * @returns {Object} - Converted content, changes for the diff and replacement counts
+ */
+function convertTextFile(content, extension, options) {
+    const mode = extension === '.html' ? 'html' : 'text';
+    const body = content.replace(/\s+$/, '');
+    const trailingNewline = content.endsWith('\n') ? '\n' : '';
+    const result = convert(body, { formatting: options.formatting, mode });
+    const counts = {};
+    countReplacements(counts, result.replacements);
+
+    return {
+        output: result.text + trailingNewline,
+        changes: result.text !== body ? [{ label: null, before: body, after: result.text }] : [],
+        counts
+    };
+}
+
+/**
+ * Convert every description found in a Foundry document JSON file.
+ * Works for single items, arrays of items and actors with embedded items.
+ * @param {string} content - File contents
+ * @returns {Object} - Converted content, changes for the diff and replacement counts
+ */
+function convertJsonFile(content) {
+    const data = JSON.parse(content);
+    const changes = [];
+    const counts = {};
+
+    const visit = (node, location) => {
+        if (Array.isArray(node)) {
+            node.forEach((child, index) => visit(child, `${location}[${index}]`));
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        const description = node.system?.description;
+        if (description && typeof description.value === 'string' && description.value.trim()) {
+            const result = convert(description.value, { mode: 'html' });
+            countReplacements(counts, result.replacements);
+            if (result.text !== description.value) {
+                const label = [location, node.name && `(${node.name})`].filter(Boolean).join(' ');
+                changes.push({ label, before: description.value, after: result.text });
+                description.value = result.text;
+            }
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'system') continue;
+            if (value && typeof value === 'object') {
+                visit(value, location ? `${location}.${key}` : key);
+            }
+        }
+    };
+
+    visit(data, '');
+
+    // Keep the file's existing indentation and trailing newline so git diffs stay small
+    const indentMatch = content.match(/^[{\[]\r?\n([ \t]+)/);
+    const indent = indentMatch ? indentMatch[1] : 2;
+    const trailingNewline = content.endsWith('\n') ? '\n' : '';
+
+    return {
+        output: changes.length > 0 ? JSON.stringify(data, null, indent) + trailingNewline : content,
+        changes,
+        counts
+    };
+}
+
+// ==================== OUTPUT ====================
+
+/**
+ * Print the before/after text of each change
+ * @param {string} file - File path for the header
+ * @param {Array} changes - Changes from the converter functions
+ */
+function printDiff(file, changes) {
+    console.log(`--- ${file}`);
+    console.log(`+++ ${file} (converted)`);
+    for (const change of changes) {
+        if (change.label) {
+            console.log(`@@ ${change.label} @@`);
+        }
+        change.before.split('\n').forEach(line => console.log(`-${line}`));
+        change.after.split('\n').forEach(line => console.log(`+${line}`));
+    }
+    console.log('');
+}
+
+/**
+ * Format the replacement counts for one file
+ * @param {Object} counts - Counts keyed by replacement type
+ * @returns {string} - Summary line
+ */
+function formatCounts(counts) {
+    const types = [...SUMMARY_TYPES, ...Object.keys(counts).filter(type => !SUMMARY_TYPES.includes(type))];
+    return types.map(type => `${type} ${counts[type] || 0}`).join(', ');
+}
+
+// ==================== MAIN ====================
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        process.exit(2);
+    }
+
+    if (options.help || options.inputs.length === 0) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 2);
+    }
+
+    let files;
+    try {
+        files = collectFiles(options.inputs);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    const totals = {};
+    let failures = 0;
+    let changedFiles = 0;
+
+    for (const { file, root } of files) {
+        const extension = path.extname(file).toLowerCase();
+        const displayPath = path.relative(process.cwd(), file) || file;
+
+        try {
+            const content = fs.readFileSync(file, 'utf8');
+            const result = extension === '.json'
+                ? convertJsonFile(content)
+                : convertTextFile(content, extension, options);
+
+            for (const [type, count] of Object.entries(result.counts)) {
+                totals[type] = (totals[type] || 0) + count;
+            }
+
+            if (result.changes.length > 0) {
+                changedFiles++;
+            }
+
+            if (options.dryRun) {
+                if (result.changes.length > 0) {
+                    printDiff(displayPath, result.changes);
+                }
+            } else if (result.changes.length > 0 || options.outDir) {
+                const target = options.outDir
+                    ? path.join(path.resolve(options.outDir), path.relative(root, file))
+                    : file;
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.writeFileSync(target, result.output);
+            }
+
+            console.log(`${displayPath}: ${formatCounts(result.counts)}`);
+        } catch (error) {
+            failures++;
+            console.error(`${displayPath}: ${error.message}`);
+        }
+    }
+
+    console.log('');
+    console.log(`${files.length} file(s) processed, ${changedFiles} ${options.dryRun ? 'would change' : 'changed'}, ${failures} failed`);
+    console.log(`Total: ${formatCounts(totals)}`);
+
+    process.exit(failures > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { convertTextFile, convertJsonFile };
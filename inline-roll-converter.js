@@ -4,6 +4,9 @@
  * v 1.3.0
  * 
  * Converts plain text descriptions into Pathfinder 2e inline automation syntax for Foundry VTT.
+ * 
+ * Run as a macro to open the converter dialog, or require() this file from Node
+ * and call convert(text, options) for headless conversion.
  */
 
 // Default input text for the converter
@@ -115,20 +118,220 @@ class InlineAutomation {
         throw new Error('Must implement render() method');
     }
 
+    // Create an independent copy of this automation with the same class and state
+    // @returns {InlineAutomation} - The copy
+    clone() {
+        return InlineAutomation.cloneValue(this);
+    }
+
+    // Deep copy a value, keeping the prototype of class instances (e.g. DamageComponent)
+    // @param {*} value - The value to copy
+    // @returns {*} - The copied value
+    static cloneValue(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => InlineAutomation.cloneValue(item));
+        }
+        if (value instanceof Set) {
+            return new Set(value);
+        }
+        if (value && typeof value === 'object') {
+            const copy = Object.create(Object.getPrototypeOf(value));
+            for (const [key, item] of Object.entries(value)) {
+                copy[key] = InlineAutomation.cloneValue(item);
+            }
+            return copy;
+        }
+        return value;
+    }
+
     static toSlug(text) {
         return text.toLowerCase().trim().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
     }
 
     static isValidDiceExpression(diceExpression) {
         if (!diceExpression || typeof diceExpression !== 'string') { return false; }
-        const dicePattern = /^\d+(?:d\d+(?:[+-]\d+)?)?$/;
-        return dicePattern.test(diceExpression);
+        return DiceExpression.validate(diceExpression) === null;
+    }
+}
+
+// Parser for roll formulas: dice and number terms, + - * /, parentheses, dice modifiers,
+// math functions and @ roll data paths. Used to validate formulas and report what is wrong with them.
+class DiceExpression {
+    // Supported functions and their allowed argument counts [min, max]
+    static FUNCTIONS = {
+        floor: [1, 1], ceil: [1, 1], round: [1, 1], abs: [1, 1],
+        max: [1, Infinity], min: [1, Infinity],
+        ternary: [3, 3], eq: [2, 2], ne: [2, 2], gt: [2, 2], gte: [2, 2], lt: [2, 2], lte: [2, 2]
+    };
+
+    // Foundry's dice modifiers: keep/drop, reroll, explode, min/max, success counting and parity.
+    // Most take an optional number or comparison, e.g. kh2, r<3, x>=5, cs>10.
+    static DICE_MODIFIER = /^(?:kh|kl|dh|dl|k|rr|ro|r|xo|x|min|max|cs|cf|df|sf|ms|even|odd)(?:(?:[<>]=?|=)?\d+)?/;
+
+    constructor(text) {
+        this.text = text;
+        this.position = 0;
+    }
+
+    /**
+     * Normalize a formula: remove whitespace and lowercase everything except roll data paths
+     * @param {string} text - Formula as typed
+     * @returns {string} - Normalized formula
+     */
+    static normalize(text) {
+        return String(text ?? '')
+            .replace(/\s+/g, '')
+            .replace(/@[\w.]+|[^@]+/g, part => part.startsWith('@') ? part : part.toLowerCase());
+    }
+
+    /**
+     * Check a formula
+     * @param {string} text - Formula to check
+     * @returns {string|null} - Description of the first problem, or null if the formula is valid
+     */
+    static validate(text) {
+        const parser = new DiceExpression(this.normalize(text));
+        try {
+            parser.parse();
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    parse() {
+        if (this.text === '') this.fail('Formula is empty');
+        this.parseSum();
+        if (this.position < this.text.length) {
+            this.fail(this.peek() === ')' ? 'Unmatched ")"' : `Unexpected "${this.peek()}"`);
+        }
+    }
+
+    parseSum() {
+        this.parseProduct();
+        while (this.peek() === '+' || this.peek() === '-') {
+            this.position++;
+            this.parseProduct();
+        }
+    }
+
+    parseProduct() {
+        this.parseUnary();
+        while (this.peek() === '*' || this.peek() === '/') {
+            this.position++;
+            this.parseUnary();
+        }
+    }
+
+    parseUnary() {
+        if (this.peek() === '-' || this.peek() === '+') this.position++;
+        this.parseTerm();
+    }
+
+    parseTerm() {
+        const char = this.peek();
+
+        if (char === '(') {
+            this.position++;
+            this.parseSum();
+            this.expect(')', 'Missing ")"');
+            // (expr)dN rolls a computed number of dice
+            if (this.peek() === 'd') this.parseDice();
+            return;
+        }
+
+        if (char === '@') {
+            const path = this.text.slice(this.position).match(/^@[A-Za-z_]\w*(?:\.\w+)*/);
+            if (!path) this.fail('Expected a roll data path after "@"');
+            this.position += path[0].length;
+            return;
+        }
+
+        if (/\d/.test(char)) {
+            this.position += this.text.slice(this.position).match(/^\d+(?:\.\d+)?/)[0].length;
+            if (this.peek() === 'd') this.parseDice();
+            return;
+        }
+
+        if (char === 'd') {
+            this.parseDice();
+            return;
+        }
+
+        if (/[a-z]/.test(char)) {
+            this.parseFunction();
+            // floor(@actor.level/2)dN rolls a computed number of dice too
+            if (this.peek() === 'd') this.parseDice();
+            return;
+        }
+
+        this.fail(char === '' ? 'Formula ends unexpectedly' : `Unexpected "${char}"`);
+    }
+
+    parseDice() {
+        this.position++; // 'd'
+        if (this.peek() === '(') {
+            this.position++;
+            this.parseSum();
+            this.expect(')', 'Missing ")"');
+        } else {
+            const faces = this.text.slice(this.position).match(/^\d+/);
+            if (!faces) this.fail('Expected a number of faces after "d"');
+            if (parseInt(faces[0]) === 0) this.fail('Dice need at least one face');
+            this.position += faces[0].length;
+        }
+
+        let modifier;
+        while ((modifier = this.text.slice(this.position).match(DiceExpression.DICE_MODIFIER))) {
+            this.position += modifier[0].length;
+        }
+    }
+
+    parseFunction() {
+        const name = this.text.slice(this.position).match(/^[a-z]+/)[0];
+        const arity = DiceExpression.FUNCTIONS[name];
+        if (!arity) this.fail(`Unknown function "${name}"`);
+        this.position += name.length;
+        this.expect('(', `Expected "(" after ${name}`);
+
+        let count = 0;
+        if (this.peek() !== ')') {
+            this.parseSum();
+            count++;
+            while (this.peek() === ',') {
+                this.position++;
+                this.parseSum();
+                count++;
+            }
+        }
+        this.expect(')', `Missing ")" after ${name} arguments`);
+
+        const [min, max] = arity;
+        if (count < min || count > max) {
+            const expected = min === max ? `${min}` : `at least ${min}`;
+            this.fail(`${name}() takes ${expected} argument${expected === '1' ? '' : 's'}`);
+        }
+    }
+
+    peek() {
+        return this.text.charAt(this.position);
+    }
+
+    expect(char, message) {
+        if (this.peek() !== char) this.fail(message);
+        this.position++;
+    }
+
+    fail(message) {
+        throw new Error(this.position < this.text.length && this.text !== ''
+            ? `${message} at position ${this.position + 1}`
+            : message);
     }
 }
 
 // Damage partial with dice, damage type, and category
 class DamageComponent {
-    constructor(dice = '', damageType = '', category = '') {
+    constructor(dice = '', damageType = '', category = '', scaling = null) {
         this._dice = '';
         this._damageType = 'untyped';
         this._category = '';
@@ -136,6 +339,9 @@ class DamageComponent {
         this.dice = dice || '';
         this.damageType = damageType || 'untyped';
         this.category = category || ''; // 'persistent', 'precision', 'splash', or ''
+
+        // Heightened scaling: { baseRank, interval, increase, ranks: [{ rank, dice, mode }], enabled }
+        this.scaling = scaling ? { ...scaling, ranks: (scaling.ranks || []).map(entry => ({ ...entry })) } : null;
     }
 
     get damageType() { return this._damageType; }
@@ -160,11 +366,12 @@ class DamageComponent {
 
     get dice() { return this._dice; }
     set dice(value) {
-        const normalizedValue = value.toLowerCase().trim();
-        if (InlineAutomation.isValidDiceExpression(normalizedValue)) {
+        const normalizedValue = DiceExpression.normalize(value);
+        const error = DiceExpression.validate(normalizedValue);
+        if (error === null) {
             this._dice = normalizedValue;
         } else {
-            console.warn(`Invalid dice expression: ${normalizedValue}`);
+            console.warn(`Invalid dice expression: ${normalizedValue} (${error})`);
         }
     }
 
@@ -176,14 +383,82 @@ class DamageComponent {
         return this._dice && this._dice.length > 0;
     }
 
+    /**
+     * Check if the component scales with the spell's rank
+     * @returns {boolean} - True if heightened scaling is set and enabled
+     */
+    isScaled() {
+        return Boolean(this.scaling) && this.scaling.enabled !== false &&
+            (Boolean(this.scaling.increase) || this.scaling.ranks.length > 0);
+    }
+
+    /**
+     * Get the formula to roll, including heightened scaling
+     * @returns {string} - The dice expression, scaled by @item.rank if the component heightens
+     */
+    getFormula() {
+        return this.isScaled() ? DamageComponent.buildScaledFormula(this._dice, this.scaling) : this._dice;
+    }
+
+    /**
+     * Build a formula that scales with @item.rank
+     * "+1: 2d6" on 6d6 from rank 3 gives (6+(@item.rank-3)*2)d6; fixed ranks use ternary(gte(...)).
+     * @param {string} dice - Base dice expression
+     * @param {Object} scaling - Scaling data (see constructor)
+     * @returns {string} - Scaled formula
+     */
+    static buildScaledFormula(dice, scaling) {
+        const { baseRank = 1, interval = 0, increase = '', ranks = [] } = scaling;
+        const base = this.parseDice(dice);
+
+        let formula = dice;
+        if (interval > 0 && increase) {
+            const steps = interval === 1 ? `(@item.rank-${baseRank})` : `floor((@item.rank-${baseRank})/${interval})`;
+            const step = this.parseDice(increase);
+            if (base && step && base.faces === step.faces) {
+                formula = `(${base.count}+${steps}${step.count === 1 ? '' : `*${step.count}`})d${base.faces}`;
+            } else if (step) {
+                formula = `${dice}+(${steps}*${step.count})d${step.faces}`;
+            } else {
+                formula = `${dice}+${steps}*${increase}`;
+            }
+        }
+
+        // Fixed ranks: each entry replaces ("increases to") or adds to ("increases by") the base roll
+        const fixed = [...ranks].sort((a, b) => a.rank - b.rank).map(entry => {
+            const entryDice = this.parseDice(entry.dice);
+            if (entry.mode === 'set' || !base || !entryDice || base.faces !== entryDice.faces) {
+                return { rank: entry.rank, dice: entry.mode === 'set' ? entry.dice : `${dice}+${entry.dice}` };
+            }
+            return { rank: entry.rank, dice: `${base.count + entryDice.count}d${base.faces}` };
+        });
+        if (fixed.length === 0) return formula;
+
+        // Same die size throughout: only the number of dice changes
+        const counts = fixed.map(entry => this.parseDice(entry.dice));
+        if (formula === dice && base && counts.every(entryDice => entryDice && entryDice.faces === base.faces)) {
+            const count = fixed.reduce((expression, entry, index) =>
+                `ternary(gte(@item.rank,${entry.rank}),${counts[index].count},${expression})`, `${base.count}`);
+            return `(${count})d${base.faces}`;
+        }
+
+        return fixed.reduce((expression, entry) =>
+            `ternary(gte(@item.rank,${entry.rank}),${entry.dice},${expression})`, formula);
+    }
+
+    static parseDice(dice) {
+        const match = (dice || '').match(/^(\d+)d(\d+)$/);
+        return match ? { count: parseInt(match[1]), faces: parseInt(match[2]) } : null;
+    }
+
     /**
      * Render the component as a PF2e damage expression
      * @returns {string} - The rendered damage expression
      */
     render(isHealing = false) {
-        let formula = this._dice;
-        // If formula contains '+' or '-' and is not wrapped in parentheses, wrap it in parentheses
-        if (/[+-]/.test(formula) && !/^\(.*\)/.test(formula)) {
+        let formula = this.getFormula();
+        // Anything beyond plain dice (e.g. '+' or '-' or roll data) is wrapped in parentheses
+        if (!/^\d+(?:d\d+)?$/.test(formula) && !/^\(.*\)/.test(formula)) {
             formula = `(${formula})`;
         }
 
@@ -211,11 +486,13 @@ class DamageComponent {
      * @returns {object} - The component as a plain object
      */
     toJSON() {
-        return {
+        const json = {
             dice: this._dice,
             damageType: this._damageType,
             category: this._category
         };
+        if (this.scaling) json.scaling = { ...this.scaling, ranks: this.scaling.ranks.map(entry => ({ ...entry })) };
+        return json;
     }
 }
 
@@ -228,7 +505,7 @@ class InlineDamage extends InlineAutomation {
         
         // Convert component parameter objects to DamageComponent instances
         this.components = (params.components ? [...params.components] : []).map(comp => 
-            new DamageComponent(comp.dice, comp.damageType, comp.category)
+            new DamageComponent(comp.dice, comp.damageType, comp.category, comp.scaling)
         );
         
         // Ensure we always have at least one component
@@ -299,6 +576,7 @@ class InlineDamage extends InlineAutomation {
         if (updates.dice !== undefined) component.dice = updates.dice;
         if (updates.damageType !== undefined) component.damageType = updates.damageType;
         if (updates.category !== undefined) component.category = updates.category;
+        if (updates.scaling !== undefined) component.scaling = updates.scaling;
 
         return true;
     }
@@ -356,10 +634,11 @@ class InlineDamage extends InlineAutomation {
         });
     
         const optionsSyntax = this.renderOptions();
+        const traitsSyntax = this.renderTraits();
         const displayTextSyntax = this.displayText !== '' ? `{${this.displayText}}` : '';
     
         // Return the complete syntax
-        return `@Damage[${componentSyntax.join(',')}${optionsSyntax}]${displayTextSyntax}`;
+        return `@Damage[${componentSyntax.join(',')}${optionsSyntax}${traitsSyntax}]${displayTextSyntax}`;
     }
 }
 
@@ -367,15 +646,16 @@ class InlineDamage extends InlineAutomation {
 class InlineCheck extends InlineAutomation {
     constructor(params = {}) {
         super('check', params);
-        // Create internal properties
-        this._checkType = 'flat';
+        // Create internal properties. A check can offer several statistics ("Athletics or Acrobatics")
+        // that share the DC; checkType is the first of them.
+        this._checkTypes = ['flat'];
         this._loreName = 'warfare';
         this._dcMethod = 'none';
         this._dc = 0;
         this._statistic = 'acrobatics';
         this._showDC = 'owner';
 
-        this.checkType = params.checkType || 'flat';
+        this.checkTypes = params.checkTypes || [params.checkType || 'flat'];
         this.loreName = params.loreName || 'warfare';
         this.dcMethod = params.dcMethod || 'none';
         this.dc = params.dc || 0;
@@ -384,16 +664,70 @@ class InlineCheck extends InlineAutomation {
         this.basic = params.basic || false;
     }
 
-    get checkType() { return this._checkType; }
-    set checkType(value) {
+    get checkType() { return this._checkTypes[0]; }
+    set checkType(value) { this.setCheckType(0, value); }
+
+    get checkTypes() { return [...this._checkTypes]; }
+    set checkTypes(values) {
+        const valid = [];
+        for (const value of values || []) {
+            const valueSlug = InlineAutomation.toSlug(value);
+            if (!ConfigManager.CHECK_TYPES.slugs.includes(valueSlug)) {
+                console.warn(`Invalid check type: ${valueSlug}`);
+            } else if (!valid.includes(valueSlug)) {
+                valid.push(valueSlug);
+            }
+        }
+        if (valid.length > 0) {
+            this._checkTypes = valid;
+        }
+    }
+
+    /**
+     * Set one of the statistics of the check
+     * @param {number} index - Index in checkTypes
+     * @param {string} value - Check type
+     */
+    setCheckType(index, value) {
         const valueSlug = InlineAutomation.toSlug(value);
-        if (ConfigManager.CHECK_TYPES.slugs.includes(valueSlug)) {
-            this._checkType = valueSlug;
-        } else {
+        if (!ConfigManager.CHECK_TYPES.slugs.includes(valueSlug)) {
             console.warn(`Invalid check type: ${valueSlug}`);
+            return;
+        }
+        if (index >= 0 && index < this._checkTypes.length) {
+            this._checkTypes[index] = valueSlug;
         }
     }
 
+    /**
+     * Add a statistic to the check, defaulting to the first save or skill not already offered
+     * @param {string} checkType - Check type to add
+     * @returns {string|null} The added check type, or null if there is nothing left to add
+     */
+    addCheckType(checkType = null) {
+        const candidates = checkType ? [checkType] : [...ConfigManager.SAVES.slugs, ...ConfigManager.SKILLS.slugs];
+        const next = candidates
+            .map(candidate => InlineAutomation.toSlug(candidate))
+            .find(candidate => ConfigManager.CHECK_TYPES.slugs.includes(candidate) && !this._checkTypes.includes(candidate));
+        if (!next) return null;
+        this._checkTypes.push(next);
+        return next;
+    }
+
+    /**
+     * Remove a statistic from the check
+     * @param {number} index - Index in checkTypes
+     * @returns {boolean} True if removed; the last statistic can't be removed
+     */
+    removeCheckType(index) {
+        if (index < 0 || index >= this._checkTypes.length || this._checkTypes.length <= 1) {
+            console.warn(`[InlineCheck] Cannot remove check type at index ${index}`);
+            return false;
+        }
+        this._checkTypes.splice(index, 1);
+        return true;
+    }
+
     get loreName() { return this._loreName; }
     set loreName(value) { this._loreName = InlineAutomation.toSlug(value); }
 
@@ -438,12 +772,10 @@ class InlineCheck extends InlineAutomation {
 
     render() {
         const parts = [];
-        // Add checkType, unless it's a lore, in which case add a slug created from the lore name
-        if (this.checkType === 'lore') {
-            parts.push(InlineAutomation.toSlug(this.loreName) + '-lore');
-        } else {
-            parts.push(this.checkType);
-        }
+        // Add the check types, with lores written as a slug created from the lore name
+        parts.push(this.checkTypes
+            .map(checkType => checkType === 'lore' ? InlineAutomation.toSlug(this.loreName) + '-lore' : checkType)
+            .join(','));
 
         // Add the syntax for the dc/statistic based on the dcMethod
         if (this.dcMethod === 'static') {
@@ -473,13 +805,13 @@ class InlineCheck extends InlineAutomation {
         return `@Check[${parts.join('|')}]${displayTextSyntax}`; // Return the complete syntax
     }
 
-    isSave() {  return this.checkType === 'reflex' || this.checkType === 'fortitude' || this.checkType === 'will'; }
+    isSave() {  return this.checkTypes.every(checkType => ConfigManager.SAVES.slugs.includes(checkType)); }
 
     isSkillCheck() { return ConfigManager.SKILLS.slugs.includes(this.checkType); }
 
     isPerceptionCheck() { return this.checkType === 'perception'; }
 
-    isLoreCheck() { return this.checkType === 'lore'; }
+    isLoreCheck() { return this.checkTypes.includes('lore'); }
 
     isFlatCheck() { return this.checkType === 'flat'; }
 
@@ -503,6 +835,46 @@ class InlineCheck extends InlineAutomation {
     }
 }
 
+// Inline NPC Strike: attack roll buttons at each multiple attack penalty
+class InlineStrike extends InlineAutomation {
+    constructor(params = {}) {
+        super('strike', params);
+        this._bonus = 0;
+
+        this.name = params.name || 'Strike';
+        this.bonus = params.bonus ?? 0;
+    }
+
+    get bonus() { return this._bonus; }
+    set bonus(value) {
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            this._bonus = value;
+        } else {
+            console.warn(`Invalid attack bonus: ${value}`);
+        }
+    }
+
+    get agile() { return this.traits.includes('agile'); }
+
+    /**
+     * Get the attack modifier for each attack in the turn
+     * @returns {Array} - Modifiers for the first, second and third attack
+     */
+    getAttackBonuses() {
+        const penalty = this.agile ? 4 : 5;
+        return [this._bonus, this._bonus - penalty, this._bonus - penalty * 2];
+    }
+
+    render() {
+        // The penalty goes in the roll's flavor text, the traits are roll traits
+        return this.getAttackBonuses().map((bonus, index) => {
+            const modifier = bonus < 0 ? `${bonus}` : `+${bonus}`;
+            const flavor = index > 0 ? `${this.name} (MAP -${this._bonus - bonus})` : this.name;
+            return `[[/r 1d20${modifier} #${flavor}${this.renderTraits()}]]{${modifier}}`;
+        }).join(' ');
+    }
+}
+
 // Inline UUID Link
 class InlineLink extends InlineAutomation {
     constructor(params = {}) {
@@ -559,7 +931,9 @@ class InlineCondition extends InlineLink {
         } else if (this.condition === 'flat-footed' || this.condition === 'off-guard') {
             displayTextSyntax = '{Off-Guard}';
         } else {
-            displayTextSyntax = this.condition.charAt(0).toUpperCase() + this.condition.slice(1).toLowerCase();
+            // Homebrew conditions show the label they were registered with
+            displayTextSyntax = ConfigManager.HOMEBREW.conditions[this.condition]?.label ||
+                this.condition.charAt(0).toUpperCase() + this.condition.slice(1).toLowerCase();
             if (ConfigManager.conditionCanHaveValue(this.condition) && this.value > 0) {
                 displayTextSyntax += ` ${this.value}`;
             }
@@ -570,6 +944,28 @@ class InlineCondition extends InlineLink {
     }
 }
 
+// Inline link to a compendium document (spell, feat, item, action or effect)
+class InlineDocumentLink extends InlineLink {
+    constructor(params = {}) {
+        super(params);
+        // Every indexed document whose name matched, in pack order
+        this.candidates = params.candidates ? params.candidates.map(candidate => ({...candidate})) : [];
+        this.uuid = params.uuid || this.candidates[0]?.uuid || '';
+    }
+
+    get candidate() {
+        return this.candidates.find(candidate => candidate.uuid === this.uuid) || null;
+    }
+
+    selectCandidate(uuid) {
+        if (this.candidates.some(candidate => candidate.uuid === uuid)) {
+            this.uuid = uuid;
+        } else {
+            console.warn(`Invalid link candidate: ${uuid}`);
+        }
+    }
+}
+
 // Inline Template Link
 class InlineTemplate extends InlineAutomation {
     constructor(params = {}) {
@@ -640,11 +1036,12 @@ class InlineGenericRoll extends InlineAutomation {
 
     get dice() { return this._dice; }
     set dice(value) {
-        const normalizedValue = value.toLowerCase().trim();
-        if (InlineAutomation.isValidDiceExpression(normalizedValue)) {
+        const normalizedValue = DiceExpression.normalize(value);
+        const error = DiceExpression.validate(normalizedValue);
+        if (error === null) {
             this._dice = normalizedValue;
         } else {
-            console.warn(`Invalid dice expression: ${normalizedValue}`);
+            console.warn(`Invalid dice expression: ${normalizedValue} (${error})`);
         }
     }
 
@@ -1103,7 +1500,7 @@ class FieldRenderer {
                 min: field.min,
                 rows: field.rows,
                 hidden: field.hideIf && field.hideIf(target),
-                notes: field.notes
+                notes: typeof field.notes === 'function' ? field.notes(target) : field.notes
             };
 
             return FieldRenderer.render(field.type, fieldId, field.label, value, options);
@@ -1164,6 +1561,7 @@ class DamageRenderer extends BaseRenderer {
                 setValue: (r, value) => {
                     r.inlineAutomation.updateComponent(index, { dice: value });
                 },
+                validate: (value) => DiceExpression.validate(value) ?? true,
                 placeholder: 'e.g., 2d6+3',
                 isComponentField: true,
                 componentIndex: index,
@@ -1203,6 +1601,45 @@ class DamageRenderer extends BaseRenderer {
                 componentIndex: index,
                 componentField: 'category'
             });
+
+            // Heightened scaling, when a Heightened entry was linked to this partial
+            configs.push({
+                id: `component-${index}-heightens`,
+                type: 'checkbox',
+                label: 'Heightens',
+                notes: (r) => {
+                    const component = r.inlineAutomation.getComponent(index);
+                    return component?.isScaled() ? `Rolls ${component.getFormula()}` : '';
+                },
+                getValue: (r) => r.inlineAutomation.getComponent(index)?.scaling?.enabled !== false,
+                setValue: (r, value) => {
+                    const component = r.inlineAutomation.getComponent(index);
+                    r.inlineAutomation.updateComponent(index, { scaling: { ...component.scaling, enabled: value } });
+                },
+                showIf: (r) => Boolean(r.inlineAutomation.getComponent(index)?.scaling),
+                triggersUpdate: 'config-refresh',
+                isComponentField: true,
+                componentIndex: index,
+                componentField: 'scaling'
+            });
+
+            configs.push({
+                id: `component-${index}-base-rank`,
+                type: 'number',
+                label: 'Base Rank',
+                min: 1,
+                getValue: (r) => r.inlineAutomation.getComponent(index)?.scaling?.baseRank || 1,
+                setValue: (r, value) => {
+                    const component = r.inlineAutomation.getComponent(index);
+                    r.inlineAutomation.updateComponent(index, { scaling: { ...component.scaling, baseRank: value || 1 } });
+                },
+                showIf: (r) => Boolean(r.inlineAutomation.getComponent(index)?.isScaled()) &&
+                    Boolean(r.inlineAutomation.getComponent(index).scaling.increase),
+                triggersUpdate: 'config-refresh',
+                isComponentField: true,
+                componentIndex: index,
+                componentField: 'scaling'
+            });
         }
 
         // Add component button - triggers config refresh because it changes structure
@@ -1237,8 +1674,9 @@ class DamageRenderer extends BaseRenderer {
         return configs;
     }
 
+    // Only damage that already has traits (e.g. from a Strike) shows the traits input
     supportsTraits(replacement) {
-        return false;
+        return replacement.inlineAutomation.traits.length > 0;
     }
 }
 
@@ -1250,16 +1688,38 @@ class CheckRenderer extends BaseRenderer {
 
     getTypeSpecificFieldConfigs(replacement) {
         const configs = [];
+        const checkTypeCount = replacement.inlineAutomation.checkTypes.length;
         
+        // One select per statistic; the lore name and basic fields depend on all of them
+        for (let index = 0; index < checkTypeCount; index++) {
+            configs.push({
+                id: index === 0 ? 'check-type' : `check-type-${index}`,
+                type: 'select',
+                label: index === 0 ? 'Check Type' : 'Or',
+                getValue: (r) => r.inlineAutomation.checkTypes[index] || 'flat',
+                setValue: (r, value) => { r.inlineAutomation.setCheckType(index, value); },
+                options: ConfigManager.CHECK_TYPES.options,
+                triggersUpdate: 'config-refresh'
+            });
+
+            if (checkTypeCount > 1) {
+                configs.push({
+                    id: `remove-check-type-${index}`,
+                    type: 'button',
+                    label: '<i class="fas fa-trash"></i>',
+                    action: 'remove-check-type',
+                    componentIndex: index,
+                    triggersUpdate: 'config-refresh'
+                });
+            }
+        }
+
         configs.push({
-            id: 'check-type',
-            type: 'select',
-            label: 'Check Type',
-            getValue: (r) => r.inlineAutomation.checkType || 'flat',
-            setValue: (r, value) => { r.inlineAutomation.checkType = value; },
-            options: ConfigManager.CHECK_TYPES.options,
-            affects: ['lore-name'],
-            triggersUpdate: 'visibility'
+            id: 'add-check-type',
+            type: 'button',
+            label: 'Add Statistic',
+            action: 'add-check-type',
+            triggersUpdate: 'config-refresh'
         });
 
         configs.push({
@@ -1270,8 +1730,7 @@ class CheckRenderer extends BaseRenderer {
             getValue: (r) => r.inlineAutomation.loreName || '',
             setValue: (r, value) => { r.inlineAutomation.loreName = value; },
             placeholder: 'e.g., Sailing',
-            dependsOn: ['check-type'],
-            showIf: (r) => r.inlineAutomation.checkType === 'lore'
+            showIf: (r) => r.inlineAutomation.isLoreCheck()
         });
         
         configs.push({
@@ -1370,8 +1829,9 @@ class ConditionRenderer extends BaseRenderer {
             getValue: (r) => r.inlineAutomation.condition || '',
             setValue: (r, value) => { r.inlineAutomation.condition = value; },
             options: ConfigManager.CONDITIONS.options,
+            notes: (r) => ConfigManager.getConditionUUIDWarning(r.inlineAutomation.condition),
             affects: ['condition-value'],
-            triggersUpdate: 'visibility'
+            triggersUpdate: 'config-refresh'
         });
 
         configs.push({
@@ -1399,6 +1859,41 @@ class ConditionRenderer extends BaseRenderer {
     }
 }
 
+// Renderer for links to compendium documents
+class LinkRenderer extends BaseRenderer {
+    getTitle(replacement) {
+        const candidate = replacement.inlineAutomation.candidate;
+        return candidate ? `${ConfigManager.getDocumentTypeLabel(candidate.type)} Link` : 'Compendium Link';
+    }
+
+    getTypeSpecificFieldConfigs(replacement) {
+        const configs = [];
+
+        configs.push({
+            id: 'link-candidate',
+            type: 'select',
+            label: 'Document',
+            getValue: (r) => r.inlineAutomation.uuid,
+            setValue: (r, value) => { r.inlineAutomation.selectCandidate(value); },
+            options: (r) => r.inlineAutomation.candidates.map(candidate => ({
+                value: candidate.uuid,
+                label: `${candidate.name} (${candidate.packLabel || ConfigManager.getDocumentTypeLabel(candidate.type)})`
+            })),
+            notes: (r) => r.inlineAutomation.candidates.length > 1
+                ? `${r.inlineAutomation.candidates.length} documents share this name.`
+                : '',
+            triggersUpdate: 'config-refresh'
+        });
+
+        return configs;
+    }
+
+    // Links don't support traits
+    supportsTraits(replacement) {
+        return false;
+    }
+}
+
 // Renderer for Inline Template Links
 class TemplateRenderer extends BaseRenderer {
     getTitle(replacement) {
@@ -1463,6 +1958,7 @@ class GenericRollRenderer extends BaseRenderer {
             label: 'Dice',
             getValue: (r) => r.inlineAutomation.dice || '',
             setValue: (r, value) => { r.inlineAutomation.dice = value; },
+            validate: (value) => DiceExpression.validate(value) ?? true,
             placeholder: 'e.g., 1d4'
         });
         
@@ -1494,6 +1990,46 @@ class GenericRollRenderer extends BaseRenderer {
     }
 }
 
+// Renderer for NPC Strikes
+class StrikeRenderer extends BaseRenderer {
+    getTitle(replacement) {
+        return 'NPC Strike';
+    }
+
+    getTypeSpecificFieldConfigs(replacement) {
+        const configs = [];
+
+        configs.push({
+            id: 'strike-name',
+            type: 'text',
+            label: 'Name',
+            getValue: (r) => r.inlineAutomation.name || '',
+            setValue: (r, value) => { r.inlineAutomation.name = value; },
+            placeholder: 'e.g., Jaws'
+        });
+
+        configs.push({
+            id: 'attack-bonus',
+            type: 'number',
+            label: 'Attack Bonus',
+            notes: (r) => `Multiple attack penalty: ${r.inlineAutomation.agile ? '-4/-8 (agile)' : '-5/-10'}`,
+            getValue: (r) => r.inlineAutomation.bonus,
+            setValue: (r, value) => { r.inlineAutomation.bonus = value; }
+        });
+
+        return configs;
+    }
+
+    getCommonTraits(replacement) {
+        return ['agile'];
+    }
+
+    // Each button has its own label, so there's no display text
+    getDisplayTextField(replacement) {
+        return null;
+    }
+}
+
 // Renderer for Inline Actions
 class ActionRenderer extends BaseRenderer {
     getTitle(replacement) {
@@ -1747,35 +2283,223 @@ class CSSManager {
                 background: var(--color-button-primary-hover);
             }
 
-            /* ===== MODIFIER PANEL HEADER CONTROLS ===== */
-            .rollconverter-header-controls .form-fields {
+            /* ===== HISTORY PANEL ===== */
+            .rollconverter-history-panel {
+                flex-shrink: 0;
+                padding-left: 5px;
+                padding-right: 5px;
+            }
+
+            .rollconverter-history-controls {
                 display: flex;
-                justify-content: space-between;
-                align-items: center;
                 gap: 8px;
             }
 
-            .rollconverter-enabled-label {
-                display: flex;
-                align-items: center;
-                gap: 4px;
-                margin: 0;
+            .rollconverter-history-controls .rollconverter-control-button {
+                padding: 4px;
+                font-size: 12px;
             }
 
-            /* ===== FORM GROUPS ===== */
-            .rollconverter-fieldset.rollconverter-modifier-panel {
-                padding-left: 5px;
-                padding-right: 5px;
-                padding-bottom: 0;
+            .rollconverter-history-controls .rollconverter-control-button:disabled {
+                opacity: 0.5;
+                cursor: default;
             }
 
-            .rollconverter-fieldset p.notes {
+            .rollconverter-history-list {
+                list-style: none;
+                margin: 4px 0 0 0;
+                padding: 0;
+                max-height: 90px;
+                overflow-y: auto;
+                font-size: 12px;
+            }
+
+            .rollconverter-history-entry {
+                padding: 1px 4px;
+                cursor: pointer;
+                border-radius: 2px;
+            }
+
+            .rollconverter-history-entry:hover {
+                background: var(--color-bg-option);
+            }
+
+            .rollconverter-history-entry.rollconverter-history-current {
+                font-weight: bold;
+            }
+
+            .rollconverter-history-entry.rollconverter-history-undone {
+                color: var(--color-text-dark-secondary);
+                text-decoration: line-through;
+            }
+
+            .rollconverter-history-empty {
+                color: #999;
+                font-style: italic;
+            }
+
+            /* ===== AUDIT DIALOG ===== */
+            .rollconverter-audit {
+                display: flex;
+                flex-direction: column;
+                height: 100%;
+                gap: 6px;
+            }
+
+            .rollconverter-audit-report {
+                flex: 1;
+                min-height: 0;
+                overflow-y: auto;
+            }
+
+            .rollconverter-audit-table th[data-sort] {
+                cursor: pointer;
+                white-space: nowrap;
+            }
+
+            .rollconverter-audit-preview {
+                max-height: 480px;
+                overflow-y: auto;
+            }
+
+            .rollconverter-audit-diff div {
+                font-family: monospace;
+                font-size: 12px;
+                white-space: pre-wrap;
+                word-break: break-word;
+            }
+
+            .rollconverter-audit-diff del {
+                background: #ffd7d5;
+            }
+
+            .rollconverter-audit-diff ins {
+                background: #c8f7c5;
+                text-decoration: none;
+            }
+
+            /* ===== RULES DIALOG ===== */
+            .rollconverter-rules {
+                height: 100%;
+                overflow-y: auto;
+            }
+
+            .rollconverter-rules-table td {
+                vertical-align: top;
+            }
+
+            .rollconverter-rule-setting {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px 8px;
+                margin-top: 4px;
+            }
+
+            .rollconverter-rule-setting label {
+                display: flex;
+                align-items: center;
+                white-space: nowrap;
+            }
+
+            /* ===== CUSTOM PATTERNS DIALOG ===== */
+            .rollconverter-custom-patterns {
+                display: flex;
+                height: 100%;
+                gap: 8px;
+            }
+
+            .rollconverter-custom-pattern-list {
+                flex: 0 0 200px;
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+            }
+
+            .rollconverter-custom-pattern-list ul {
+                flex: 1;
+                margin: 0;
+                padding: 0;
+                list-style: none;
+                overflow-y: auto;
+            }
+
+            .rollconverter-custom-pattern-list li[data-index] {
+                padding: 4px;
+                cursor: pointer;
+            }
+
+            .rollconverter-custom-pattern-list li.selected {
+                background: rgba(0, 0, 0, 0.1);
+            }
+
+            .rollconverter-custom-pattern-list li.disabled {
+                opacity: 0.5;
+            }
+
+            .rollconverter-custom-pattern-editor {
+                flex: 1;
+                min-width: 0;
+                overflow-y: auto;
+            }
+
+            .rollconverter-custom-pattern-flags {
+                flex: 0 0 50px;
+            }
+
+            .rollconverter-custom-pattern-result {
+                padding: 4px 0;
+                border-bottom: 1px solid #ccc;
+            }
+
+            .rollconverter-custom-pattern-result code {
+                display: block;
+                white-space: pre-wrap;
+                word-break: break-word;
+            }
+
+            /* ===== HOMEBREW DIALOG ===== */
+            .rollconverter-homebrew textarea {
+                font-family: monospace;
+                resize: vertical;
+            }
+
+            .rollconverter-homebrew pre {
+                white-space: pre-wrap;
+            }
+
+            /* ===== MODIFIER PANEL HEADER CONTROLS ===== */
+            .rollconverter-header-controls .form-fields {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .rollconverter-enabled-label {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+                margin: 0;
+            }
+
+            /* ===== FORM GROUPS ===== */
+            .rollconverter-fieldset.rollconverter-modifier-panel {
+                padding-left: 5px;
+                padding-right: 5px;
+                padding-bottom: 0;
+            }
+
+            .rollconverter-fieldset p.notes {
                 font-size: 12px;
                 margin: 4px 0 0 0;
                 color: var(--color-text-dark-secondary);
                 flex-shrink: 0;
             }
 
+            .rollconverter-fieldset p.notes.rollconverter-field-error {
+                color: #ff4444;
+            }
+
             /* ===== OUTPUT AREAS ===== */
             .rollconverter-output-converted {
                 line-height: 1.5;
@@ -1923,17 +2647,20 @@ class CSSManager {
             }
 
             /* ===== COMPONENT MANAGEMENT CONTROLS ===== */
-            #add-component-container .form-fields {
+            #add-component-container .form-fields,
+            #add-check-type-container .form-fields {
                 display: flex;
                 justify-content: right;
             }
 
-            .rollconverter-action-button[data-action="add-component"] {
+            .rollconverter-action-button[data-action="add-component"],
+            .rollconverter-action-button[data-action="add-check-type"] {
                 min-width: 140px;
                 white-space: nowrap;
             }
 
-            .rollconverter-action-button[data-action="remove-component"] {
+            .rollconverter-action-button[data-action="remove-component"],
+            .rollconverter-action-button[data-action="remove-check-type"] {
                 background: var(--color-warning);
                 color: white;
                 font-size: 10px;
@@ -1941,7 +2668,8 @@ class CSSManager {
                 height: 17px !important;
             }
 
-            .rollconverter-action-button[data-action="remove-component"]:hover {
+            .rollconverter-action-button[data-action="remove-component"]:hover,
+            .rollconverter-action-button[data-action="remove-check-type"]:hover {
                 background: var(--color-danger);
             }
 
@@ -1968,15 +2696,8 @@ class ModifierPanelManager {
     };
     
     constructor() {        
-        // Initialize renderer registry for type-specific UI logic
-        this.renderers = {
-            damage: new DamageRenderer(),
-            check: new CheckRenderer(),
-            condition: new ConditionRenderer(),
-            template: new TemplateRenderer(),
-            generic: new GenericRollRenderer(),
-            action: new ActionRenderer()
-        };
+        // One renderer per registered type for type-specific UI logic
+        this.renderers = AutomationRegistry.createRenderers();
         
         // Store current form state for updates
         this.currentForm = null;
@@ -2106,6 +2827,14 @@ class ModifierPanelManager {
             const oldValue = fieldConfig.getValue(replacement);
             const newValue = this.extractFieldValue(event.target);
             
+            // Reject invalid input before it reaches the automation, which would drop it
+            const error = this.getValidationError(fieldConfig, newValue, replacement);
+            if (error) {
+                this.showFieldError(fieldConfig.id, error);
+                return;
+            }
+            this.clearFieldError(fieldConfig.id);
+            
             // Only proceed if value actually changed
             if (oldValue !== newValue) {
                 // Set the new value if setValue function is provided
@@ -2143,9 +2872,9 @@ class ModifierPanelManager {
             
             // Validate new value if validation function is provided
             if (fieldConfig.validate) {
-                const currentValue = fieldConfig.getValue(replacement);
-                if (!fieldConfig.validate(currentValue, replacement)) {
-                    this.showFieldError(fieldConfig.id, 'Invalid value');
+                const error = this.getValidationError(fieldConfig, fieldConfig.getValue(replacement), replacement);
+                if (error) {
+                    this.showFieldError(fieldConfig.id, error);
                     return;
                 }
             }
@@ -2271,6 +3000,21 @@ class ModifierPanelManager {
         }
     }
 
+    /**
+     * Run a field's validate function. Validators return true when the value is valid,
+     * and false or an error message when it isn't.
+     * @param {Object} fieldConfig - The field configuration
+     * @param {*} value - The value to check
+     * @param {Object} replacement - The replacement object
+     * @returns {string|null} - Error message, or null if the value is valid
+     */
+    getValidationError(fieldConfig, value, replacement) {
+        if (!fieldConfig.validate) return null;
+        const result = fieldConfig.validate(value, replacement);
+        if (result === true) return null;
+        return typeof result === 'string' ? result : 'Invalid value';
+    }
+
     /**
      * Show field error
      * @param {string} fieldId - The field ID
@@ -2282,6 +3026,18 @@ class ModifierPanelManager {
             fieldElement.style.borderColor = '#ff4444';
             fieldElement.title = message;
         }
+        
+        // Show the message under the field as well, replacing any earlier one
+        const container = this.currentForm?.querySelector(`#${fieldId}-container`);
+        if (container) {
+            let errorElement = container.querySelector('.rollconverter-field-error');
+            if (!errorElement) {
+                errorElement = document.createElement('p');
+                errorElement.className = 'notes rollconverter-field-error';
+                container.appendChild(errorElement);
+            }
+            errorElement.textContent = message;
+        }
     }
 
     /**
@@ -2294,6 +3050,7 @@ class ModifierPanelManager {
             fieldElement.style.borderColor = '';
             fieldElement.title = '';
         }
+        this.currentForm?.querySelector(`#${fieldId}-container .rollconverter-field-error`)?.remove();
     }
 
     /**
@@ -2486,7 +3243,10 @@ class ModifierPanelManager {
             min: config.min,
             max: config.max,
             rows: config.rows,
-            notes: config.notes
+            notes: [
+                typeof config.notes === 'function' ? config.notes(rep) : config.notes,
+                rep.ruleNotes?.[config.id]
+            ].filter(Boolean).join(' ')
         };
         
         return FieldRenderer.render(config.type, config.id, config.label, value, options);
@@ -2574,8 +3334,8 @@ class ModifierPanelManager {
             });
         }
         
-        // Setup action button listeners for component management
-        if (type === 'damage') {
+        // Setup action button listeners for damage components and check statistics
+        if (type === 'damage' || type === 'check') {
             const actionButtons = formElement.querySelectorAll('.rollconverter-action-button');
             actionButtons.forEach(button => {
                 const action = button.dataset.action;
@@ -2602,7 +3362,7 @@ class ModifierPanelManager {
 
     /**
      * Handle component management actions (add/remove)
-     * @param {string} action - The action to perform ('add-component' or 'remove-component')
+     * @param {string} action - 'add-component'/'remove-component' for damage, 'add-check-type'/'remove-check-type' for checks
      * @param {string} componentIndex - Index of component (for removal)
      * @param {Object} replacement - The replacement object
      * @param {Function} onChangeCallback - Change callback function
@@ -2626,6 +3386,18 @@ class ModifierPanelManager {
                 }
                 break;
                 
+            case 'add-check-type':
+                success = replacement.inlineAutomation.addCheckType() !== null;
+                break;
+                
+            case 'remove-check-type':
+                success = replacement.inlineAutomation.removeCheckType(parseInt(componentIndex));
+                if (!success) {
+                    ui.notifications.warn("Cannot remove the last statistic");
+                    return;
+                }
+                break;
+                
             default:
                 console.warn(`[ModifierPanelManager] Unknown component action: ${action}`);
                 return;
@@ -3202,7 +3974,20 @@ class ModifierPanelManager {
 
 // Central state management for the PF2e Converter
 class ConverterDialog {
-    constructor() {
+    // Maximum number of undo steps kept
+    static HISTORY_LIMIT = 100;
+
+    // Edits to the same field within this many milliseconds become one undo step
+    static HISTORY_MERGE_WINDOW = 1000;
+
+    // Changes that always get their own undo step
+    static UNMERGED_HISTORY_FIELDS = ['enabled', 'reset', 'add-component', 'remove-component', 'add-check-type', 'remove-check-type'];
+
+    /**
+     * @param {Object} options - Dialog options
+     * @param {Document} options.document - Item or JournalEntryPage whose description is being converted
+     */
+    constructor(options = {}) {
         // Centralized state object - all dialog state goes here
         this.data = {
             inputText: '',
@@ -3214,6 +3999,18 @@ class ConverterDialog {
             isInitialized: false
         };
         
+        // Undo/redo history of modifier panel edits.
+        // `position` is the number of entries currently applied; snapshots hold the
+        // last recorded state of each replacement so the next change knows its "before".
+        this.history = {
+            entries: [],
+            position: 0,
+            snapshots: new Map()
+        };
+        
+        // Document opened from a sheet, if any (see DocumentIntegration)
+        this.targetDocument = options.document || null;
+        
         // Core processing components
         this.processor = new TextProcessor();
         this.modifierManager = new ModifierPanelManager();
@@ -3238,6 +4035,13 @@ class ConverterDialog {
      */
     selectElement(elementId) {
         this.data.selectedElementId = elementId;
+        
+        // Record the starting state so the first edit to this replacement can be undone
+        const rep = this.findReplacement(elementId);
+        if (rep && !this.history.snapshots.has(rep.id)) {
+            this.history.snapshots.set(rep.id, rep.captureState());
+        }
+        
         this.renderModifierPanel();
         this.updateElementHighlighting();
     }
@@ -3257,13 +4061,29 @@ class ConverterDialog {
      */
     processInput(inputText) {
         this.data.inputText = inputText;
-        this.data.selectedElementId = null; // Clear selection on input change
         
-        const newReplacements = this.processor.process(inputText, this.data);
+        // Keep modifications for any replacements the edit didn't touch
+        const newReplacements = this.processor.reprocess(inputText, this.data.replacements, this.data);
+        
+        // Keep the selection only if the selected replacement survived the edit
+        if (!newReplacements.some(replacement => replacement.id === this.data.selectedElementId)) {
+            this.data.selectedElementId = null;
+        }
+        
+        this.data.interactiveElements = {};
         this.updateReplacements(newReplacements);
-
-        // Reset modifier panel to default state when input changes
+        this.pruneHistory();
         this.renderModifierPanel();
+        this.updateElementHighlighting();
+    }
+    
+    /**
+     * Find a current replacement by ID
+     * @param {string} id - Replacement ID
+     * @returns {Replacement|undefined} - The replacement, if it still exists
+     */
+    findReplacement(id) {
+        return this.data.replacements.find(replacement => replacement.id === id);
     }
     
     /**
@@ -3283,6 +4103,8 @@ class ConverterDialog {
         this.data.inputText = '';
         this.data.replacements = [];
         this.data.selectedElementId = null;
+        this.history = { entries: [], position: 0, snapshots: new Map() };
+        this.renderHistory();
         this.data.lastRawOutput = '';
         
         if (this.ui.inputTextarea) {
@@ -3502,6 +4324,8 @@ class ConverterDialog {
             rep.markModified();
         }
         
+        this.recordHistory(rep, changedFieldId);
+        
         // Re-render everything to reflect changes
         this.renderOutput();
         this.renderLivePreview();
@@ -3514,106 +4338,568 @@ class ConverterDialog {
     }
     
     /**
-     * Setup all event handlers
+     * Record a modifier panel change in the undo history.
+     * Repeated edits to the same field within a short window are merged into one entry,
+     * so typing into a text field doesn't create an entry per keystroke.
+     * @param {Object} rep - The replacement that changed
+     * @param {string} changedFieldId - ID of the changed field (or 'enabled', 'reset', component action)
      */
-    setupEventHandlers() {
-        this.setupInputHandlers();
-        this.setupButtonHandlers();
+    recordHistory(rep, changedFieldId) {
+        const before = this.history.snapshots.get(rep.id) || rep.captureState();
+        const after = rep.captureState();
+        this.history.snapshots.set(rep.id, after);
+        
+        // A new change discards anything that was undone
+        this.history.entries.splice(this.history.position);
+        
+        const now = Date.now();
+        const last = this.history.entries[this.history.entries.length - 1];
+        const mergeable = !ConverterDialog.UNMERGED_HISTORY_FIELDS.includes(changedFieldId);
+        
+        if (mergeable && last && last.replacementId === rep.id && last.fieldId === changedFieldId &&
+            now - last.timestamp < ConverterDialog.HISTORY_MERGE_WINDOW) {
+            last.after = after;
+            last.timestamp = now;
+        } else {
+            this.history.entries.push({
+                replacementId: rep.id,
+                fieldId: changedFieldId,
+                label: this.describeHistoryChange(rep, changedFieldId),
+                before,
+                after,
+                timestamp: now
+            });
+            
+            if (this.history.entries.length > ConverterDialog.HISTORY_LIMIT) {
+                this.history.entries.shift();
+            }
+        }
+        
+        this.history.position = this.history.entries.length;
+        this.renderHistory();
     }
     
     /**
-     * Setup input handlers
+     * Build a short label for a history entry
+     * @param {Object} rep - The replacement that changed
+     * @param {string} changedFieldId - ID of the changed field
+     * @returns {string} - Label shown in the history list
      */
-    setupInputHandlers() {
-        if (this.ui.inputTextarea) {
-            this.ui.inputTextarea.on('input', (e) => {
-                this.processInput(e.target.value);
-            });
+    describeHistoryChange(rep, changedFieldId) {
+        const renderer = this.modifierManager.renderers[rep.type];
+        const title = renderer ? renderer.getTitle(rep) : rep.type;
+        
+        let change;
+        switch (changedFieldId) {
+            case 'enabled':
+                change = rep.enabled ? 'Enabled' : 'Disabled';
+                break;
+            case 'reset':
+                change = 'Reset';
+                break;
+            case 'add-component':
+                change = 'Added damage component';
+                break;
+            case 'remove-component':
+                change = 'Removed damage component';
+                break;
+            case 'add-check-type':
+                change = 'Added statistic';
+                break;
+            case 'remove-check-type':
+                change = 'Removed statistic';
+                break;
+            default: {
+                const config = renderer?.getFieldConfigs(rep).find(cfg => cfg.id === changedFieldId);
+                change = config ? `Changed ${config.label}` : `Changed ${changedFieldId}`;
+            }
         }
+        
+        return `${title}: ${change}`;
     }
     
     /**
-     * Setup button handlers
+     * Undo the most recent change
      */
-    setupButtonHandlers() {
-        if (this.ui.copyButton) {
-            this.ui.copyButton.on('click', () => {
-                this.copyOutput();
-            });
-        }
+    undo() {
+        if (this.history.position === 0) return;
         
-        if (this.ui.clearButton) {
-            this.ui.clearButton.on('click', () => {
-                this.clearAll();
-            });
-        }
+        const entry = this.history.entries[this.history.position - 1];
+        this.history.position--;
+        this.applyHistoryState(entry, entry.before);
     }
-
+    
     /**
-     * Setup formatting options handlers
+     * Redo the most recently undone change
      */
-    setupFormattingHandlers() {
-        const htmlFormattingCheckbox = document.getElementById('html-formatting');
+    redo() {
+        if (this.history.position >= this.history.entries.length) return;
         
-        if (htmlFormattingCheckbox) {
-            htmlFormattingCheckbox.addEventListener('change', (e) => {
-                const isEnabled = e.target.checked;
-                this.processor.formattingRules.setCategoryEnabled(
-                    FormattingRule.CATEGORIES.HTML, 
-                    isEnabled
-                );
-                
-                // Re-render output and preview
-                this.renderOutput();
-                this.renderLivePreview();
-            });
-        }
+        const entry = this.history.entries[this.history.position];
+        this.history.position++;
+        this.applyHistoryState(entry, entry.after);
     }
     
     /**
-     * Initialize UI references
-     * @param {Object} html - jQuery object containing the dialog HTML
+     * Undo or redo until the given number of entries is applied
+     * @param {number} position - Target history position
      */
-    initializeUI(html) {
-        this.ui.inputTextarea = html.find('#input-text');
-        this.ui.outputHtmlDiv = html.find('#output-html')[0];
-        this.ui.livePreview = html.find('#live-preview')[0];
-        this.ui.modifierPanelContent = html.find('#modifier-panel-content')[0];
-        this.ui.copyButton = html.find('#copy-output');
-        this.ui.clearButton = html.find('#clear-all');
-        this.ui.formattingOptionsContent = html.find('#formatting-options-form')[0];
-        
-        // Generate formatting options HTML using FieldRenderer
-        this.renderFormattingOptions();
-        
-        // Process initial input if present
-        const initialText = this.ui.inputTextarea.val();
-        if (initialText && initialText.trim()) {
-            this.data.inputText = initialText;
+    jumpToHistory(position) {
+        while (this.history.position > position) {
+            this.undo();
         }
-        else {
-            this.data.inputText = '';
+        while (this.history.position < position) {
+            this.redo();
         }
-    
-        this.data.isInitialized = true;
-        this.processInput(this.data.inputText);
     }
-
+    
     /**
-     * Render formatting options using FieldRenderer for consistency
+     * Restore a history snapshot and refresh the UI
+     * @param {Object} entry - The history entry being undone or redone
+     * @param {Object} snapshot - The snapshot to restore
      */
-    renderFormattingOptions() {
-        if (!this.ui.formattingOptionsContent) return;
-        
-        // Use FieldRenderer to create consistent checkbox styling - only HTML formatting option now
-        const htmlFormattingHtml = FieldRenderer.render(
+    applyHistoryState(entry, snapshot) {
+        const rep = this.findReplacement(entry.replacementId);
+        if (rep) {
+            rep.restoreState(snapshot);
+            this.history.snapshots.set(rep.id, rep.captureState());
+            
+            // Show the affected replacement so it's clear what changed
+            this.data.selectedElementId = rep.id;
+            this.renderOutput();
+            this.renderLivePreview();
+            this.renderModifierPanel();
+            this.updateElementHighlighting();
+        }
+        
+        this.renderHistory();
+    }
+    
+    /**
+     * Drop history entries for replacements that no longer exist (e.g. after an input edit)
+     */
+    pruneHistory() {
+        const ids = new Set(this.data.replacements.map(replacement => replacement.id));
+        const applied = this.history.entries.slice(0, this.history.position).filter(entry => ids.has(entry.replacementId));
+        const undone = this.history.entries.slice(this.history.position).filter(entry => ids.has(entry.replacementId));
+        
+        this.history.entries = [...applied, ...undone];
+        this.history.position = applied.length;
+        
+        for (const id of this.history.snapshots.keys()) {
+            if (!ids.has(id)) {
+                this.history.snapshots.delete(id);
+            }
+        }
+        
+        this.renderHistory();
+    }
+    
+    /**
+     * Render the history list and undo/redo button state
+     */
+    renderHistory() {
+        if (!this.ui.historyList) return;
+        
+        const { entries, position } = this.history;
+        
+        if (entries.length === 0) {
+            this.ui.historyList.innerHTML = '<li class="rollconverter-history-empty">No changes yet.</li>';
+        } else {
+            // Newest first; clicking an entry returns to the state just after it
+            this.ui.historyList.innerHTML = entries.map((entry, index) => {
+                const classes = ['rollconverter-history-entry'];
+                if (index >= position) classes.push('rollconverter-history-undone');
+                if (index === position - 1) classes.push('rollconverter-history-current');
+                return `<li class="${classes.join(' ')}" data-position="${index + 1}">${this.escapeHtml(entry.label)}</li>`;
+            }).reverse().join('');
+            
+            this.ui.historyList.querySelectorAll('.rollconverter-history-entry').forEach(item => {
+                item.onclick = () => this.jumpToHistory(parseInt(item.dataset.position));
+            });
+        }
+        
+        if (this.ui.undoButton) {
+            this.ui.undoButton.prop('disabled', position === 0);
+        }
+        if (this.ui.redoButton) {
+            this.ui.redoButton.prop('disabled', position >= entries.length);
+        }
+    }
+    
+    /**
+     * Setup undo/redo buttons and keyboard shortcuts (Ctrl+Z, Ctrl+Shift+Z, Ctrl+Y)
+     */
+    setupHistoryHandlers() {
+        if (this.ui.undoButton) {
+            this.ui.undoButton.on('click', () => this.undo());
+        }
+        if (this.ui.redoButton) {
+            this.ui.redoButton.on('click', () => this.redo());
+        }
+        
+        if (this.ui.root) {
+            this.ui.root.addEventListener('keydown', (event) => {
+                if (!(event.ctrlKey || event.metaKey)) return;
+                
+                // Leave native text undo alone while typing in a text field. Checkboxes and selects
+                // keep the shortcut, since toggling a replacement is a history step.
+                const target = event.target;
+                const textInputTypes = ['text', 'number', 'search'];
+                if (target && ((target.tagName === 'INPUT' && textInputTypes.includes(target.type)) ||
+                    target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+                
+                const key = event.key.toLowerCase();
+                if (key === 'z' && !event.shiftKey) {
+                    this.undo();
+                } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                    this.redo();
+                } else {
+                    return;
+                }
+                
+                // Keep Foundry's own undo keybinding from also firing
+                event.preventDefault();
+                event.stopPropagation();
+            });
+        }
+    }
+    
+    /**
+     * Setup all event handlers
+     */
+    setupEventHandlers() {
+        this.setupInputHandlers();
+        this.setupButtonHandlers();
+        this.setupHistoryHandlers();
+    }
+    
+    /**
+     * Setup input handlers
+     */
+    setupInputHandlers() {
+        if (this.ui.inputTextarea) {
+            this.ui.inputTextarea.on('input', (e) => {
+                this.processInput(e.target.value);
+            });
+        }
+    }
+    
+    /**
+     * Setup button handlers
+     */
+    setupButtonHandlers() {
+        if (this.ui.copyButton) {
+            this.ui.copyButton.on('click', () => {
+                this.copyOutput();
+            });
+        }
+        
+        if (this.ui.clearButton) {
+            this.ui.clearButton.on('click', () => {
+                this.clearAll();
+            });
+        }
+        
+        if (this.ui.auditButton) {
+            this.ui.auditButton.on('click', () => {
+                new AuditDialog().render();
+            });
+        }
+        
+        if (this.ui.customPatternsButton) {
+            this.ui.customPatternsButton.on('click', () => {
+                new CustomPatternDialog(() => this.processInput(this.data.inputText)).render();
+            });
+        }
+        
+        if (this.ui.homebrewButton) {
+            this.ui.homebrewButton.on('click', () => {
+                new HomebrewDialog(() => this.processInput(this.data.inputText)).render();
+            });
+        }
+        
+        if (this.ui.importButton) {
+            this.ui.importButton.on('click', () => {
+                this.importCreature();
+            });
+        }
+        
+        if (this.ui.createSpellButton) {
+            this.ui.createSpellButton.on('click', () => {
+                this.createSpell();
+            });
+        }
+        
+        if (this.ui.saveButton) {
+            this.ui.saveButton.on('click', () => {
+                this.saveToDocument();
+            });
+        }
+        
+        if (this.ui.restoreButton) {
+            this.ui.restoreButton.on('click', () => {
+                this.restorePreviousDescription();
+            });
+        }
+    }
+    
+    /**
+     * Create an NPC actor from the input, read as a whole creature stat block
+     */
+    async importCreature() {
+        if (!game.user.can('ACTOR_CREATE')) {
+            ui.notifications.warn('You do not have permission to create actors.');
+            return;
+        }
+        
+        const creature = CreatureStatBlockParser.parse(this.ui.inputTextarea.val());
+        if (!creature.name || creature.ac.value === null || creature.hp.value === null) {
+            ui.notifications.warn('The input doesn\'t look like a creature stat block. It needs a name, AC and HP.');
+            return;
+        }
+        
+        const summary = [
+            `Level ${creature.level}`,
+            `${creature.strikes.length} Strike(s)`,
+            `${creature.abilities.length} abilit${creature.abilities.length === 1 ? 'y' : 'ies'}`,
+            `${creature.spellcasting.reduce((total, entry) => total + entry.spells.length, 0)} spell(s)`
+        ].join(', ');
+        const confirmed = await Dialog.confirm({
+            title: 'Import as NPC',
+            content: `<p>Create an NPC named <strong>${this.escapeHtml(creature.name)}</strong>?</p><p>${summary}</p>`
+        });
+        if (!confirmed) return;
+        
+        try {
+            const actor = await CreatureStatBlockParser.createActor(creature);
+            ui.notifications.info(`Created NPC ${actor.name}.`);
+            actor.sheet.render(true);
+        } catch (error) {
+            console.error('[PF2e Converter] Error importing creature:', error);
+            ui.notifications.error(`Failed to create ${creature.name}. Check console for details.`);
+        }
+    }
+    
+    /**
+     * Create a spell item from the input, read as a spell stat block
+     */
+    async createSpell() {
+        if (!game.user.can('ITEM_CREATE')) {
+            ui.notifications.warn('You do not have permission to create items.');
+            return;
+        }
+        
+        const spell = SpellStatBlockParser.parse(this.ui.inputTextarea.val());
+        if (!spell.name || !spell.body) {
+            ui.notifications.warn('The input doesn\'t look like a spell stat block. It needs a header such as "Fireball Spell 3" and a description.');
+            return;
+        }
+        
+        try {
+            const item = await SpellStatBlockParser.createItem(spell);
+            ui.notifications.info(`Created spell ${item.name}.`);
+            item.sheet.render(true);
+        } catch (error) {
+            console.error('[PF2e Converter] Error creating spell:', error);
+            ui.notifications.error(`Failed to create ${spell.name}. Check console for details.`);
+        }
+    }
+    
+    /**
+     * Write the converted output back to the target document, keeping the old description
+     */
+    async saveToDocument() {
+        if (!this.targetDocument) return;
+        
+        const outputText = this.processor.renderFromReplacements(
+            this.data.inputText, 
+            this.data.replacements, 
+            false, // interactive = false
+            this.data,
+            true,  // applyFormatting = true
+            false  // escapeHtml = false
+        );
+        
+        try {
+            const saved = await DocumentIntegration.saveDescription(this.targetDocument, outputText);
+            if (saved) {
+                ui.notifications.info(`Saved converted description to ${this.targetDocument.name}.`);
+            } else {
+                ui.notifications.info('The description is already up to date.');
+            }
+            this.updateRestoreButton();
+        } catch (error) {
+            console.error('[PF2e Converter] Error saving to document:', error);
+            ui.notifications.error(`Failed to save to ${this.targetDocument.name}. Check console for details.`);
+        }
+    }
+    
+    /**
+     * Put the description from before the last save back on the target document
+     */
+    async restorePreviousDescription() {
+        if (!this.targetDocument || !DocumentIntegration.hasPreviousDescription(this.targetDocument)) return;
+        
+        const confirmed = await Dialog.confirm({
+            title: 'Restore Previous Description',
+            content: `<p>Replace the current description of <strong>${this.escapeHtml(this.targetDocument.name)}</strong> with the one from before the last save?</p>`
+        });
+        if (!confirmed) return;
+        
+        try {
+            const restored = await DocumentIntegration.restoreDescription(this.targetDocument);
+            
+            // Start over from the restored text, since none of the current replacements apply to it
+            this.ui.inputTextarea.val(restored);
+            this.data.replacements = [];
+            this.data.selectedElementId = null;
+            this.processInput(restored);
+            this.updateRestoreButton();
+            
+            ui.notifications.info(`Restored the previous description of ${this.targetDocument.name}.`);
+        } catch (error) {
+            console.error('[PF2e Converter] Error restoring description:', error);
+            ui.notifications.error(`Failed to restore ${this.targetDocument.name}. Check console for details.`);
+        }
+    }
+    
+    /**
+     * Enable the restore button only when there is something to restore
+     */
+    updateRestoreButton() {
+        if (this.ui.restoreButton && this.targetDocument) {
+            this.ui.restoreButton.prop('disabled', !DocumentIntegration.hasPreviousDescription(this.targetDocument));
+        }
+    }
+
+    /**
+     * Setup formatting options handlers
+     */
+    setupFormattingHandlers() {
+        const inputModeSelect = document.getElementById('input-mode');
+        
+        if (inputModeSelect) {
+            inputModeSelect.addEventListener('change', (e) => {
+                this.processor.setInputMode(e.target.value);
+                
+                // Positions mean something different in the other mode, so detect from scratch
+                this.data.replacements = [];
+                this.processInput(this.data.inputText);
+            });
+        }
+        
+        const rulesButton = document.getElementById('open-rules');
+        
+        if (rulesButton) {
+            rulesButton.addEventListener('click', () => {
+                new RuleSettingsDialog(this.processor, (settings) => {
+                    this.processor.configureRules(settings);
+                    this.processInput(this.data.inputText);
+                }).render();
+            });
+        }
+        
+        const htmlFormattingCheckbox = document.getElementById('html-formatting');
+        
+        if (htmlFormattingCheckbox) {
+            htmlFormattingCheckbox.addEventListener('change', (e) => {
+                const isEnabled = e.target.checked;
+                this.processor.formattingRules.setCategoryEnabled(
+                    FormattingRule.CATEGORIES.HTML, 
+                    isEnabled
+                );
+                
+                // Re-render output and preview
+                this.renderOutput();
+                this.renderLivePreview();
+            });
+        }
+    }
+    
+    /**
+     * Initialize UI references
+     * @param {Object} html - jQuery object containing the dialog HTML
+     */
+    initializeUI(html) {
+        this.ui.inputTextarea = html.find('#input-text');
+        this.ui.outputHtmlDiv = html.find('#output-html')[0];
+        this.ui.livePreview = html.find('#live-preview')[0];
+        this.ui.modifierPanelContent = html.find('#modifier-panel-content')[0];
+        this.ui.copyButton = html.find('#copy-output');
+        this.ui.clearButton = html.find('#clear-all');
+        this.ui.formattingOptionsContent = html.find('#formatting-options-form')[0];
+        this.ui.historyList = html.find('#history-list')[0];
+        this.ui.undoButton = html.find('#history-undo');
+        this.ui.redoButton = html.find('#history-redo');
+        this.ui.root = html.closest('.app')[0] || html[0];
+        this.ui.auditButton = html.find('#open-audit');
+        this.ui.customPatternsButton = html.find('#custom-patterns');
+        this.ui.homebrewButton = html.find('#homebrew');
+        this.ui.importButton = html.find('#import-npc');
+        this.ui.createSpellButton = html.find('#create-spell');
+        this.ui.saveButton = html.find('#save-to-document');
+        this.ui.restoreButton = html.find('#restore-description');
+        
+        // Descriptions are stored as HTML, so convert them in place
+        if (this.targetDocument) {
+            this.processor.setInputMode(TextProcessor.INPUT_MODES.HTML);
+            this.ui.inputTextarea.val(DocumentIntegration.getDescription(this.targetDocument));
+            this.updateRestoreButton();
+        }
+        
+        // Generate formatting options HTML using FieldRenderer
+        this.renderFormattingOptions();
+        this.renderHistory();
+        
+        // Process initial input if present
+        const initialText = this.ui.inputTextarea.val();
+        if (initialText && initialText.trim()) {
+            this.data.inputText = initialText;
+        }
+        else {
+            this.data.inputText = '';
+        }
+    
+        this.data.isInitialized = true;
+        this.processInput(this.data.inputText);
+    }
+
+    /**
+     * Render formatting options using FieldRenderer for consistency
+     */
+    renderFormattingOptions() {
+        if (!this.ui.formattingOptionsContent) return;
+        
+        // Use FieldRenderer to create consistent field styling
+        const inputModeHtml = FieldRenderer.render(
+            'select',
+            'input-mode',
+            'Input Format',
+            this.processor.inputMode,
+            {
+                options: [
+                    { value: TextProcessor.INPUT_MODES.AUTO, label: 'Auto-detect' },
+                    { value: TextProcessor.INPUT_MODES.TEXT, label: 'Plain Text' },
+                    { value: TextProcessor.INPUT_MODES.HTML, label: 'HTML (convert in place)' }
+                ]
+            }
+        );
+        
+        const htmlFormattingHtml = FieldRenderer.render(
             'checkbox', 
             'html-formatting', 
             'HTML Formatting', 
             true // checked by default
         );
         
-        this.ui.formattingOptionsContent.innerHTML = htmlFormattingHtml;
+        const rulesButtonHtml = `
+            <div class="form-group">
+                <button type="button" id="open-rules" class="rollconverter-control-button" title="Turn individual business and formatting rules on or off">Rules...</button>
+            </div>
+        `;
+        
+        this.ui.formattingOptionsContent.innerHTML = inputModeHtml + htmlFormattingHtml + rulesButtonHtml;
         
         // Setup event handlers after rendering
         this.setupFormattingHandlers();
@@ -3633,6 +4919,7 @@ class ConfigCategory {
         this._options = null;
         this._pattern = null;
         this._patternWithAlternates = null;
+        this._tokenPattern = null;
         this._set = null;
         this._customLabels = customLabels;
     }
@@ -3690,6 +4977,28 @@ class ConfigCategory {
         return this._patternWithAlternates;
     }
 
+    // Whole-token pattern - multi-word items match with spaces or hyphens ("void fire", "void-fire"),
+    // longest first, and never just the start of a longer hyphenated word
+    get tokenPattern() {
+        if (this._tokenPattern === null) {
+            const forms = this.slugs
+                .filter(item => item !== '')
+                .sort((a, b) => b.length - a.length)
+                .map(item => this.tokenForm(item));
+            this._tokenPattern = `(?:${forms.join('|')})(?![\\w-])`;
+        }
+        return this._tokenPattern;
+    }
+
+    /**
+     * Get the regex source for one item, with its words separated by spaces or hyphens
+     * @param {string} item - Slug
+     * @returns {string} - Regex source
+     */
+    tokenForm(item) {
+        return item.split('-').map(word => this.escapeRegex(word)).join('(?:-|\\s+)');
+    }
+
     escapeRegex(string) {
         return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
@@ -3931,15 +5240,123 @@ class LegacyConversionManager {
 class ConfigManager {
     // Private cache for memoization
     static _cache = new Map();
+
+    // Condition UUIDs resolved from the live system at startup. Kept outside the
+    // cache so clearCache() doesn't throw them away.
+    static _liveConditionUUIDs = {};
+    static _conditionUUIDSource = 'static';
+
+    // Homebrew configuration keyed by where it came from ('world' or a module id).
+    // Merged into the categories below each time the cache is rebuilt.
+    static _homebrewSources = new Map();
+    static HOMEBREW_SETTING_KEY = 'rollconverterHomebrew';
     
-    // ===== DAMAGE =====
-    static get DAMAGE_TYPES() {
-        if (!this._cache.has('DAMAGE_TYPES')) {
-            this._cache.set('DAMAGE_TYPES', new ConfigCategory([
-                'acid', 'cold', 'electricity', 'fire', 'force', 'sonic', 'vitality', 'void',
-                'bleed', 'bludgeoning', 'piercing', 'slashing',
-                'mental', 'spirit', 'poison', 'untyped'
-            ]));
+    // ===== LIVE SYSTEM DATA =====
+    // Inside Foundry, skills, saves, damage types, actions and attributes are read from the running
+    // PF2e system so they keep up with its releases. The FALLBACK_ literals are used offline.
+    // Conditions are only compared by the diagnostic: conditionTypes also lists attitudes and
+    // detection states (friendly, observed) that read as plain words.
+    static LIVE_SOURCES = {
+        SKILLS: { label: 'CONFIG.PF2E.skills', read: () => globalThis.CONFIG?.PF2E?.skills },
+        SAVES: { label: 'CONFIG.PF2E.saves', read: () => globalThis.CONFIG?.PF2E?.saves },
+        DAMAGE_TYPES: { label: 'CONFIG.PF2E.damageTypes', read: () => globalThis.CONFIG?.PF2E?.damageTypes },
+        ACTIONS: { label: 'game.pf2e.actions', read: () => globalThis.game?.pf2e?.actions },
+        CONDITIONS: { label: 'CONFIG.PF2E.conditionTypes', read: () => globalThis.CONFIG?.PF2E?.conditionTypes },
+        ATTRIBUTES: {
+            label: 'CONFIG.PF2E.abilities',
+            read: () => globalThis.CONFIG?.PF2E?.abilities,
+            // Keyed by abbreviation (str, dex, ...)
+            toSlug: key => Object.keys(ConfigManager.ATTRIBUTE_ABBREVIATIONS)
+                .find(attribute => ConfigManager.ATTRIBUTE_ABBREVIATIONS[attribute] === key) || key
+        }
+    };
+
+    /**
+     * Read a category's slugs from the live system
+     * @param {string} name - Key of LIVE_SOURCES
+     * @param {Array} fallback - The literal slugs, used to recognize the source's key format
+     * @returns {Array|null} - Slugs, or null when the source is missing or keyed differently
+     *   (e.g. older systems keyed skills by abbreviation)
+     */
+    static getLiveSlugs(name, fallback) {
+        let source;
+        try {
+            source = this.LIVE_SOURCES[name]?.read();
+        } catch (error) {
+            return null;
+        }
+        if (!source || typeof source !== 'object') return null;
+
+        const keys = source instanceof Map ? [...source.keys()] : Object.keys(source);
+        const toSlug = this.LIVE_SOURCES[name].toSlug || (key => key);
+        const slugs = [...new Set(keys
+            .filter(key => typeof key === 'string')
+            .map(key => InlineAutomation.toSlug(toSlug(key).replace(/([a-z])(?=[A-Z])|([A-Z])(?=[A-Z][a-z])/g, '$1$2-'))))]
+            .filter(Boolean);
+        return slugs.some(slug => fallback.includes(slug)) ? slugs : null;
+    }
+
+    static resolveSlugs(name, fallback) {
+        return this.getLiveSlugs(name, fallback) || fallback;
+    }
+
+    /**
+     * Compare the live system data with the fallback literals
+     * @returns {Array} - { category, source, liveOnly, fallbackOnly } for each category that differs;
+     *   empty outside Foundry
+     */
+    static diagnoseLiveConfig() {
+        const fallbacks = {
+            SKILLS: this.FALLBACK_SKILLS,
+            SAVES: this.FALLBACK_SAVES,
+            DAMAGE_TYPES: this.FALLBACK_DAMAGE_TYPES,
+            ACTIONS: Object.keys(this.FALLBACK_ACTION_DEFINITIONS),
+            CONDITIONS: this.FALLBACK_CONDITIONS,
+            ATTRIBUTES: this.FALLBACK_ATTRIBUTES
+        };
+
+        const differences = [];
+        for (const [category, fallback] of Object.entries(fallbacks)) {
+            const live = this.getLiveSlugs(category, fallback);
+            if (!live) continue;
+
+            const liveOnly = live.filter(slug => !fallback.includes(slug));
+            const fallbackOnly = fallback.filter(slug => !live.includes(slug));
+            if (liveOnly.length > 0 || fallbackOnly.length > 0) {
+                differences.push({ category, source: this.LIVE_SOURCES[category].label, liveOnly, fallbackOnly });
+            }
+        }
+        return differences;
+    }
+
+    /**
+     * Log the differences found by diagnoseLiveConfig
+     * @returns {Array} - The differences
+     */
+    static logLiveConfigDiagnostics() {
+        const differences = this.diagnoseLiveConfig();
+        for (const { category, source, liveOnly, fallbackOnly } of differences) {
+            const parts = [
+                liveOnly.length > 0 && `only in ${source}: ${liveOnly.join(', ')}`,
+                fallbackOnly.length > 0 && `only in the fallback list: ${fallbackOnly.join(', ')}`
+            ].filter(Boolean);
+            console.info(`[PF2e Converter] ${category} differs from the fallback; ${parts.join('; ')}`);
+        }
+        return differences;
+    }
+
+    // ===== DAMAGE =====
+    static FALLBACK_DAMAGE_TYPES = [
+        'acid', 'cold', 'electricity', 'fire', 'force', 'sonic', 'vitality', 'void',
+        'bleed', 'bludgeoning', 'piercing', 'slashing',
+        'mental', 'spirit', 'poison', 'untyped'
+    ];
+
+    static get DAMAGE_TYPES() {
+        if (!this._cache.has('DAMAGE_TYPES')) {
+            const damageTypes = this.resolveSlugs('DAMAGE_TYPES', this.FALLBACK_DAMAGE_TYPES);
+            const homebrewTypes = this.HOMEBREW.damageTypes.filter(type => !damageTypes.includes(type));
+            this._cache.set('DAMAGE_TYPES', new ConfigCategory([...damageTypes, ...homebrewTypes]));
         }
         return this._cache.get('DAMAGE_TYPES');
     }
@@ -3982,16 +5399,18 @@ class ConfigManager {
     }
 
     // ===== CONDITIONS =====
+    static FALLBACK_CONDITIONS = [
+        'blinded', 'broken', 'clumsy', 'concealed', 'confused', 'controlled', 'dazzled',
+        'deafened', 'doomed', 'drained', 'dying', 'enfeebled', 'fascinated', 'fatigued',
+        'fleeing', 'frightened', 'grabbed', 'hidden', 'immobilized', 'invisible', 'off-guard',
+        'paralyzed', 'petrified', 'prone', 'quickened', 'restrained', 'sickened',
+        'slowed', 'stunned', 'stupefied', 'unconscious', 'undetected', 'wounded'
+    ];
+
     static get CONDITIONS() {
         if (!this._cache.has('CONDITIONS')) {
             const conditionData = {
-                items: [
-                    'blinded', 'broken', 'clumsy', 'concealed', 'confused', 'controlled', 'dazzled',
-                    'deafened', 'doomed', 'drained', 'dying', 'enfeebled', 'fascinated', 'fatigued',
-                    'fleeing', 'frightened', 'grabbed', 'hidden', 'immobilized', 'invisible', 'off-guard',
-                    'paralyzed', 'petrified', 'prone', 'quickened', 'restrained', 'sickened',
-                    'slowed', 'stunned', 'stupefied', 'unconscious', 'undetected', 'wounded'
-                ],
+                items: [...this.FALLBACK_CONDITIONS],
                 customLabels: {
                     'off-guard': 'Off-Guard'
                 },
@@ -4018,7 +5437,7 @@ class ConfigManager {
                         'fleeing': 'Compendium.pf2e.conditionitems.Item.sDPxOjQ9kx2RZE8D',
                         'frightened': 'Compendium.pf2e.conditionitems.Item.TBSHQspnbcqxsmjL',
                         'grabbed': 'Compendium.pf2e.conditionitems.Item.kWc1fhmv9LBiTuei',
-                        'hidden': 'Compendium.pf2e.conditionitems.iU0fEDdBp3rXpTMC',
+                        'hidden': 'Compendium.pf2e.conditionitems.Item.iU0fEDdBp3rXpTMC',
                         'immobilized': 'Compendium.pf2e.conditionitems.Item.eIcWbB5o3pP6OIMe',
                         'invisible': 'Compendium.pf2e.conditionitems.Item.zJxUflt9np0q4yML',
                         'off-guard': 'Compendium.pf2e.conditionitems.Item.AJh5ex99aV6VTggg',
@@ -4038,10 +5457,28 @@ class ConfigManager {
                 }
             };
 
+            // UUIDs resolved from the live compendium take precedence over the static table
+            conditionData.metadata.staticUuids = conditionData.metadata.uuids;
+            conditionData.metadata.uuids = { ...conditionData.metadata.uuids, ...this._liveConditionUUIDs };
+
+            // Homebrew conditions link to their own items, usually in the world. They are also
+            // matched by their hyphenated slug and label, e.g. "mind-linked" as well as "mind linked".
+            conditionData.metadata.homebrew = new Set();
+            conditionData.alternates = {};
+            for (const [slug, condition] of Object.entries(this.HOMEBREW.conditions)) {
+                if (!conditionData.items.includes(slug)) conditionData.items.push(slug);
+                conditionData.alternates[slug] = [...new Set([slug, condition.label.toLowerCase()])].filter(Boolean);
+                if (condition.label) conditionData.customLabels[slug] = condition.label;
+                if (condition.withValues) conditionData.metadata.withValues.add(slug);
+                conditionData.metadata.uuids[slug] = condition.uuid;
+                conditionData.metadata.homebrew.add(slug);
+            }
+
             this._cache.set('CONDITIONS', new ConfigCategory(
                 conditionData.items,
                 conditionData.customLabels,
-                conditionData.metadata
+                conditionData.metadata,
+                conditionData.alternates
             ));
         }
         return this._cache.get('CONDITIONS');
@@ -4054,25 +5491,213 @@ class ConfigManager {
 
     static getConditionUUID(condition) {
         const normalizedName = condition?.toLowerCase()?.trim();
-        return this.CONDITIONS.metadata.uuids[normalizedName] || null;
+        const uuid = this.CONDITIONS.metadata.uuids[normalizedName];
+        if (this.CONDITIONS.metadata.homebrew.has(normalizedName)) {
+            return this.isValidItemUUID(uuid) ? uuid : null;
+        }
+        return this.isValidConditionUUID(uuid) ? uuid : null;
+    }
+
+    static isValidConditionUUID(uuid) {
+        return typeof uuid === 'string' && /^Compendium\.pf2e\.conditionitems\.Item\.[A-Za-z0-9]{16}$/.test(uuid);
+    }
+
+    // Any world or compendium Item, as used by homebrew conditions
+    static isValidItemUUID(uuid) {
+        return typeof uuid === 'string' && /^(?:Compendium\.[\w-]+\.[\w-]+\.)?Item\.[A-Za-z0-9]{16}$/.test(uuid);
+    }
+
+    /**
+     * Describe why a condition's UUID can't be trusted, if it can't
+     * @param {string} condition - Condition slug
+     * @returns {string|null} - Warning message, or null if the UUID is fine
+     */
+    static getConditionUUIDWarning(condition) {
+        const normalizedName = condition?.toLowerCase()?.trim();
+        if (!normalizedName) return null;
+
+        const uuid = this.CONDITIONS.metadata.uuids[normalizedName];
+        if (this.CONDITIONS.metadata.homebrew.has(normalizedName)) {
+            return this.isValidItemUUID(uuid)
+                ? null
+                : `Homebrew condition "${condition}" has no valid Item UUID. The link will not work.`;
+        }
+        if (!this.isValidConditionUUID(uuid)) {
+            return `No valid compendium entry is known for "${condition}". The link will not work.`;
+        }
+        if (this._conditionUUIDSource !== 'static' && !this._liveConditionUUIDs[normalizedName]) {
+            return `"${condition}" was not found in the PF2e conditions compendium. The link uses a stored ID that may be out of date.`;
+        }
+        return null;
+    }
+
+    /**
+     * Resolve condition UUIDs from the running PF2e system. Uses the ConditionManager when it
+     * is available and the pf2e.conditionitems pack index otherwise. Without either (e.g. in
+     * Node) the static table is used as is.
+     * @returns {Promise<string>} - Where the UUIDs came from: 'condition-manager', 'compendium' or 'static'
+     */
+    static async loadConditionUUIDs() {
+        const resolved = {};
+        let source = 'static';
+
+        try {
+            const conditionManager = globalThis.game?.pf2e?.ConditionManager;
+            // The manager's map is keyed by both slug and compendium UUID
+            if (conditionManager?.conditions instanceof Map) {
+                for (const [key, condition] of conditionManager.conditions) {
+                    const slug = condition?.slug;
+                    if (this.isValidConditionUUID(key) && this.CONDITIONS.slugs.includes(slug)) {
+                        resolved[slug] = key;
+                    }
+                }
+                if (Object.keys(resolved).length > 0) source = 'condition-manager';
+            }
+
+            const pack = globalThis.game?.packs?.get('pf2e.conditionitems');
+            if (source === 'static' && pack) {
+                const index = await pack.getIndex();
+                for (const entry of index) {
+                    const slug = InlineAutomation.toSlug(entry.name || '');
+                    const uuid = entry.uuid || `Compendium.pf2e.conditionitems.Item.${entry._id}`;
+                    if (this.CONDITIONS.slugs.includes(slug) && this.isValidConditionUUID(uuid)) {
+                        resolved[slug] = uuid;
+                    }
+                }
+                if (Object.keys(resolved).length > 0) source = 'compendium';
+            }
+        } catch (error) {
+            console.warn('[PF2e Converter] Could not resolve condition UUIDs, using stored IDs:', error);
+        }
+
+        this._liveConditionUUIDs = resolved;
+        this._conditionUUIDSource = source;
+        this._cache.delete('CONDITIONS');
+
+        const unresolved = this.CONDITIONS.slugs.filter(condition => this.getConditionUUIDWarning(condition));
+        if (unresolved.length > 0) {
+            console.warn(`[PF2e Converter] Unresolved condition UUIDs: ${unresolved.join(', ')}`);
+        }
+
+        return source;
+    }
+
+    // ===== DOCUMENT LINKS =====
+
+    // Compendiums whose document names are linked in the text, in order of preference
+    static DOCUMENT_LINK_PACKS = [
+        'pf2e.spells-srd', 'pf2e.feats-srd', 'pf2e.actionspf2e', 'pf2e.equipment-srd',
+        'pf2e.spell-effects', 'pf2e.feat-effects', 'pf2e.equipment-effects', 'pf2e.other-effects'
+    ];
+
+    // Lookup of normalized document name -> candidate documents. Loaded at startup,
+    // kept outside the cache like the condition UUIDs.
+    static _documentIndex = new Map();
+    static _documentIndexMaxWords = 0;
+
+    /**
+     * Normalize a document name or piece of text for index lookups.
+     * Drops parenthetical grades so "Elixir of Life (Lesser)" is found as "elixir of life".
+     * @param {string} name - Name to normalize
+     * @returns {string} - Lowercase words separated by single spaces
+     */
+    static normalizeDocumentName(name) {
+        const base = (name || '').replace(/\s*\([^)]*\)\s*$/, '');
+        return (base.match(/[A-Za-z0-9][A-Za-z0-9'’-]*/g) || []).join(' ').toLowerCase();
+    }
+
+    /**
+     * Replace the document index. Used at startup in Foundry and directly when running headless.
+     * @param {Array} entries - Objects with name, uuid and optionally type, pack and packLabel
+     */
+    static setDocumentIndex(entries = []) {
+        const index = new Map();
+        let maxWords = 0;
+
+        for (const entry of entries) {
+            if (!entry?.name || !entry?.uuid) continue;
+            const key = this.normalizeDocumentName(entry.name);
+            if (!key) continue;
+
+            if (!index.has(key)) index.set(key, []);
+            const candidates = index.get(key);
+            if (!candidates.some(candidate => candidate.uuid === entry.uuid)) {
+                candidates.push({
+                    name: entry.name,
+                    uuid: entry.uuid,
+                    type: entry.type || '',
+                    pack: entry.pack || '',
+                    packLabel: entry.packLabel || ''
+                });
+            }
+            maxWords = Math.max(maxWords, key.split(' ').length);
+        }
+
+        this._documentIndex = index;
+        this._documentIndexMaxWords = maxWords;
+    }
+
+    /**
+     * Build the document index from the configured compendiums
+     * @param {Array} packIds - Compendium collection IDs to index
+     * @returns {Promise<number>} - Number of names indexed
+     */
+    static async loadDocumentIndex(packIds = this.DOCUMENT_LINK_PACKS) {
+        const entries = [];
+
+        for (const packId of packIds) {
+            const pack = globalThis.game?.packs?.get(packId);
+            if (!pack) continue;
+
+            try {
+                const index = await pack.getIndex({ fields: ['type'] });
+                for (const entry of index) {
+                    entries.push({
+                        name: entry.name,
+                        uuid: entry.uuid || `Compendium.${pack.collection}.${pack.documentName}.${entry._id}`,
+                        type: entry.type || pack.documentName,
+                        pack: pack.collection,
+                        packLabel: pack.metadata?.label || ''
+                    });
+                }
+            } catch (error) {
+                console.warn(`[PF2e Converter] Could not index ${packId}:`, error);
+            }
+        }
+
+        this.setDocumentIndex(entries);
+        return this._documentIndex.size;
+    }
+
+    static findDocuments(name) {
+        return this._documentIndex.get(this.normalizeDocumentName(name)) || [];
+    }
+
+    static getDocumentTypeLabel(type) {
+        if (!type) return 'Document';
+        return type.charAt(0).toUpperCase() + type.slice(1);
     }
 
     // ===== CHECKS AND SAVES =====
+    static FALLBACK_SAVES = ['reflex', 'fortitude', 'will'];
+
+    static FALLBACK_SKILLS = [
+        'acrobatics', 'arcana', 'athletics', 'crafting',
+        'deception', 'diplomacy', 'intimidation', 'medicine',
+        'nature', 'occultism', 'performance', 'religion',
+        'society', 'stealth', 'survival', 'thievery'
+    ];
+
     static get SAVES() {
         if (!this._cache.has('SAVES')) {
-            this._cache.set('SAVES', new ConfigCategory(['reflex', 'fortitude', 'will']));
+            this._cache.set('SAVES', new ConfigCategory(this.resolveSlugs('SAVES', this.FALLBACK_SAVES)));
         }
         return this._cache.get('SAVES');
     }
 
     static get SKILLS() {
         if (!this._cache.has('SKILLS')) {
-            this._cache.set('SKILLS', new ConfigCategory([
-                'acrobatics', 'arcana', 'athletics', 'crafting',
-                'deception', 'diplomacy', 'intimidation', 'medicine',
-                'nature', 'occultism', 'performance', 'religion',
-                'society', 'stealth', 'survival', 'thievery'
-            ]));
+            this._cache.set('SKILLS', new ConfigCategory(this.resolveSlugs('SKILLS', this.FALLBACK_SKILLS)));
         }
         return this._cache.get('SKILLS');
     }
@@ -4088,6 +5713,38 @@ class ConfigManager {
         return this._cache.get('CHECK_TYPES');
     }
 
+    // ===== ATTRIBUTES =====
+    static FALLBACK_ATTRIBUTES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+
+    static ATTRIBUTE_ABBREVIATIONS = {
+        strength: 'str', dexterity: 'dex', constitution: 'con',
+        intelligence: 'int', wisdom: 'wis', charisma: 'cha'
+    };
+
+    static get ATTRIBUTES() {
+        if (!this._cache.has('ATTRIBUTES')) {
+            const attributes = this.resolveSlugs('ATTRIBUTES', this.FALLBACK_ATTRIBUTES);
+            // An attribute the live system adds is already keyed by its abbreviation
+            const abbreviations = Object.fromEntries(attributes.map(attribute =>
+                [attribute, this.ATTRIBUTE_ABBREVIATIONS[attribute] || attribute]));
+            this._cache.set('ATTRIBUTES', new ConfigCategory(attributes, {}, { abbreviations }));
+        }
+        return this._cache.get('ATTRIBUTES');
+    }
+
+    /**
+     * Get the roll data path for an attribute modifier
+     * @param {string} attribute - Attribute name or abbreviation
+     * @returns {string|null} - e.g. '@actor.abilities.str.mod', or null if unknown
+     */
+    static getAttributeModifierPath(attribute) {
+        const normalized = attribute?.toLowerCase()?.trim();
+        const abbreviations = this.ATTRIBUTES.metadata.abbreviations;
+        const abbreviation = abbreviations[normalized] ||
+            (Object.values(abbreviations).includes(normalized) ? normalized : null);
+        return abbreviation ? `@actor.abilities.${abbreviation}.mod` : null;
+    }
+
     // ===== STATISTICS AND DC METHODS =====
     static get STATISTICS() {
         if (!this._cache.has('STATISTICS')) {
@@ -4220,8 +5877,9 @@ class ConfigManager {
     }
 
     // ===== ACTIONS =====
-    static get ACTION_DEFINITIONS() {
-        if (!this._cache.has('ACTION_DEFINITIONS')) {
+    // Alternates and variants of the known actions. Live actions not listed here are matched by name only.
+    static get FALLBACK_ACTION_DEFINITIONS() {
+        if (!this._cache.has('FALLBACK_ACTION_DEFINITIONS')) {
             const definitions = {
                 'administer-first-aid': {
                     alternates: [ 'administer first aid', 'administers first aid', 'administered first aid', 'administering first aid' ],
@@ -4391,6 +6049,32 @@ class ConfigManager {
                     alternates: [ 'entrap confession', 'entraps confession', 'entraped confession', 'entrapping confession' ] }
             };
 
+            this._cache.set('FALLBACK_ACTION_DEFINITIONS', definitions);
+        }
+        return this._cache.get('FALLBACK_ACTION_DEFINITIONS');
+    }
+
+    static get ACTION_DEFINITIONS() {
+        if (!this._cache.has('ACTION_DEFINITIONS')) {
+            const fallback = this.FALLBACK_ACTION_DEFINITIONS;
+            // Curated actions stay even when the live map lacks them (e.g. class actions that
+            // aren't registered there); diagnoseLiveConfig reports the ones to prune
+            const definitions = { ...fallback };
+            for (const slug of this.getLiveSlugs('ACTIONS', Object.keys(fallback)) || []) {
+                definitions[slug] = definitions[slug] || {};
+            }
+
+            // Homebrew alternates add to a built-in action's; homebrew variants replace them
+            for (const [slug, action] of Object.entries(this.HOMEBREW.actions)) {
+                const existing = definitions[slug] || {};
+                const alternates = [...(existing.alternates || []), ...action.alternates];
+                const variants = action.variants.length > 0 ? action.variants : existing.variants;
+                definitions[slug] = {
+                    ...(alternates.length > 0 && { alternates }),
+                    ...(variants && { variants })
+                };
+            }
+
             this._cache.set('ACTION_DEFINITIONS', definitions);
         }
         return this._cache.get('ACTION_DEFINITIONS');
@@ -4411,10 +6095,15 @@ class ConfigManager {
                 }
             });
 
+            // Actions only the live system knows have no curated wordings, and many are plain
+            // verbs ("strike", "rest"), so ActionPattern only links them when written as names
+            const liveOnly = new Set(canonicalActions.filter(action =>
+                !(action in this.FALLBACK_ACTION_DEFINITIONS) && !(action in this.HOMEBREW.actions)));
+
             this._cache.set('ACTIONS', new ConfigCategory(
                 canonicalActions,
                 {}, // custom labels
-                {}, // metadata  
+                { liveOnly }, // metadata
                 actionAlternates // alternates for pattern matching
             ));
         }
@@ -4496,13 +6185,134 @@ class ConfigManager {
         return slugs.length > 0 ? slugs[0] : '';
     }
 
+    // ===== HOMEBREW =====
+
+    /**
+     * Add homebrew entries to the configuration. Registering again with the same source
+     * replaces that source's entries. Clears the cache so categories and patterns pick them up.
+     * @param {Object} config - { actions: { slug: { alternates, variants } },
+     *   conditions: { slug: { uuid, withValues, label } }, damageTypes: [slug] }
+     * @param {string} source - Where the entries come from, e.g. 'world' or a module id
+     */
+    static registerHomebrew(config, source = 'module') {
+        this._homebrewSources.set(source, this.normalizeHomebrew(config));
+        this.clearCache();
+    }
+
+    static unregisterHomebrew(source) {
+        if (this._homebrewSources.delete(source)) this.clearCache();
+    }
+
+    /**
+     * Clean up a homebrew config: slug the keys and drop anything malformed
+     * @param {Object} config - Homebrew config as entered
+     * @returns {Object} - { actions, conditions, damageTypes }
+     */
+    static normalizeHomebrew(config = {}) {
+        const toList = (value) => (Array.isArray(value) ? value : [])
+            .filter(item => typeof item === 'string' && item.trim());
+        const normalized = { actions: {}, conditions: {}, damageTypes: [] };
+
+        for (const [name, action] of Object.entries(config?.actions || {})) {
+            const slug = InlineAutomation.toSlug(name);
+            if (!slug) continue;
+            normalized.actions[slug] = {
+                alternates: toList(action?.alternates).map(alternate => alternate.toLowerCase().trim()),
+                variants: toList(action?.variants).map(variant => InlineAutomation.toSlug(variant))
+            };
+        }
+
+        for (const [name, condition] of Object.entries(config?.conditions || {})) {
+            const slug = InlineAutomation.toSlug(name);
+            if (!slug) continue;
+            normalized.conditions[slug] = {
+                uuid: typeof condition?.uuid === 'string' ? condition.uuid.trim() : '',
+                withValues: Boolean(condition?.withValues),
+                label: typeof condition?.label === 'string' ? condition.label : ''
+            };
+        }
+
+        normalized.damageTypes = toList(config?.damageTypes).map(type => InlineAutomation.toSlug(type));
+        return normalized;
+    }
+
+    // All registered homebrew merged together; later sources win for the same slug
+    static get HOMEBREW() {
+        return this.memoize('HOMEBREW', () => {
+            const merged = { actions: {}, conditions: {}, damageTypes: [] };
+            for (const homebrew of this._homebrewSources.values()) {
+                Object.assign(merged.actions, homebrew.actions);
+                Object.assign(merged.conditions, homebrew.conditions);
+                merged.damageTypes.push(...homebrew.damageTypes.filter(type => !merged.damageTypes.includes(type)));
+            }
+            return merged;
+        });
+    }
+
+    /**
+     * Load the world's homebrew setting, then let modules add theirs through the
+     * 'rollconverter.registerHomebrew' hook. Does nothing outside Foundry.
+     */
+    static loadHomebrew() {
+        if (!globalThis.game?.settings) return;
+
+        try {
+            this.registerHomebrew(this.getHomebrewSetting(), 'world');
+        } catch (error) {
+            console.warn('[PF2e Converter] Could not load homebrew configuration:', error);
+        }
+
+        AutomationRegistry.callHook('registerHomebrew', this);
+    }
+
+    static registerHomebrewSetting() {
+        if (game.settings.settings.has(`world.${this.HOMEBREW_SETTING_KEY}`)) return;
+        game.settings.register('world', this.HOMEBREW_SETTING_KEY, {
+            name: 'Inline Roll Converter Homebrew',
+            scope: 'world',
+            config: false,
+            type: Object,
+            default: {}
+        });
+    }
+
+    // The world's homebrew config as entered, before normalizing
+    static getHomebrewSetting() {
+        this.registerHomebrewSetting();
+        return foundry.utils.deepClone(game.settings.get('world', this.HOMEBREW_SETTING_KEY) || {});
+    }
+
+    /**
+     * Save the world's homebrew config and register it in place of the old one
+     * @param {Object} config - Homebrew config, in the format registerHomebrew takes
+     */
+    static async saveHomebrew(config) {
+        this.registerHomebrewSetting();
+        await game.settings.set('world', this.HOMEBREW_SETTING_KEY, config);
+        this.registerHomebrew(config, 'world');
+    }
+
     // ===== UTILITY METHODS =====
     
-    // Clear cache (useful for testing or memory management)
+    // Clear cache (useful for testing or memory management). Categories and the
+    // pattern regexes built from them are rebuilt on next use.
     static clearCache() {
         this._cache.clear();
     }
 
+    /**
+     * Get a value derived from the configuration, building it on first use
+     * @param {string} key - Cache key
+     * @param {Function} build - Builds the value
+     * @returns {*} - Cached value
+     */
+    static memoize(key, build) {
+        if (!this._cache.has(key)) {
+            this._cache.set(key, build());
+        }
+        return this._cache.get(key);
+    }
+
     // Get cache statistics
     static getCacheStats() {
         return {
@@ -4533,7 +6343,9 @@ class BasePattern {
     static type = 'base';
     static priority = 0;
     static description = 'Base pattern class';
-    static PATTERNS = []; // Must be defined by subclasses
+    // Must be defined by subclasses. Patterns built from ConfigManager categories are
+    // getters that memoize through ConfigManager, so clearCache() rebuilds them.
+    static PATTERNS = [];
     static EXTRACTORS = {}; // Must be defined by subclasses
 
     /**
@@ -4548,6 +6360,11 @@ class BasePattern {
             let match;
             pattern.regex.lastIndex = 0;
             while ((match = pattern.regex.exec(text)) !== null) {
+                // An empty match would never advance the regex
+                if (match[0] === '') {
+                    pattern.regex.lastIndex++;
+                    continue;
+                }
                 if (this.validateMatch(match)) {
                     // Extract parameters and check if they're valid
                     const parameters = this.extractParametersForPattern(match, pattern);
@@ -4561,6 +6378,7 @@ class BasePattern {
                         match: match,
                         type: pattern.type || this.type,
                         priority: pattern.priority || this.priority,
+                        patternClass: this,
                         config: { 
                             pattern: pattern,
                             parameters: parameters
@@ -4680,10 +6498,28 @@ class AutomationPattern extends BasePattern {
         template: (match, pattern) => AutomationPattern.extractGenericParameters(match, 'template'),
         generic: (match, pattern) => AutomationPattern.extractGenericParameters(match, 'generic'),
         action: (match, pattern) => AutomationPattern.extractGenericParameters(match, 'action'),
-        condition: (match, pattern) => AutomationPattern.extractGenericParameters(match, 'condition')
+        condition: (match, pattern) => AutomationPattern.extractGenericParameters(match, 'condition'),
+        legacyDamage: (match, pattern) => AutomationPattern.extractGenericParameters(match, 'legacyDamage'),
+        legacyCondition: (match, pattern) => AutomationPattern.extractGenericParameters(match, 'legacyCondition')
     };
 
     static PATTERNS = [
+        // Deprecated damage roll syntax, e.g. [[/r {2d6}[fire]]] or [[/r (2d6+4)[persistent,fire] #Burn]]
+        // Outranks the generic roll pattern below, which would otherwise match most of it
+        {
+            regex: /\[\[\/(?:r|br)\s+\{?((?:\{[^{}\[\]]+\}|\([^()\[\]]+\)|[\dd+\-]+)\s*\[[^\]]+\](?:\s*,\s*(?:\{[^{}\[\]]+\}|\([^()\[\]]+\)|[\dd+\-]+)\s*\[[^\]]+\])*)\}?\s*(?:#([^\]]*))?\]\](?:\{([^}]+)\})?/gi,
+            priority: 212,
+            type: 'damage',
+            extractor: 'legacyDamage'
+        },
+        // Deprecated condition links: @Compendium[pf2e.conditionitems.Frightened]
+        // and pre-v11 UUIDs without the ".Item." document type
+        {
+            regex: /@(?:Compendium\[pf2e\.conditionitems\.|UUID\[Compendium\.pf2e\.conditionitems\.(?!Item\.))([^\]]+)\](?:\{([^}]+)\})?/gi,
+            priority: 198,
+            type: 'condition',
+            extractor: 'legacyCondition'
+        },
         {
             regex: /@Damage\[((?:[^\[\]]+|\[[^\]]*\])*)\](?:\{([^}]+)\})?/gi,
             priority: 210,
@@ -4853,31 +6689,19 @@ class AutomationPattern extends BasePattern {
                 displayText: displayText
             };
 
-            // Parse options from pipe-delimited segments (only for options, not damage components)
+            // Parse options and traits from pipe-delimited segments (not damage components)
             result.options = this.parseParameterList(paramContent, 'options');
-
-            // Parse damage components from the parameter content
-            const dicePattern = /(\d+(?:d\d+)?(?:[+-]\d+)?)/g;
-            const diceMatches = [...paramContent.matchAll(dicePattern)];
-
-            if (diceMatches.length === 0) return result;
-
-            // Create component boundaries based on dice positions
-            const componentBoundaries = this.createComponentBoundaries(diceMatches, paramContent);
-
-            // Process each component
-            componentBoundaries.forEach(boundary => {
-                const componentText = paramContent.substring(boundary.start, boundary.end);
-                const dice = boundary.diceMatch[1];
-
-                const component = {
-                    dice: dice,
-                    damageType: this.findDamageTypeInComponent(componentText),
-                    category: this.findDamageCategoryInComponent(componentText)
-                };
-
-                result.components.push(component);
-            });
+            result.traits = this.parseParameterList(paramContent, 'traits');
+
+            // Damage partials come before the first "|" and are separated by commas,
+            // ignoring any inside parentheses or brackets, e.g. max(1,1d4)[fire],2d6[cold]
+            const [componentContent] = this.splitTopLevel(paramContent, '|');
+            for (const componentText of this.splitTopLevel(componentContent, ',')) {
+                const component = this.parseDamageComponent(componentText);
+                if (component) {
+                    result.components.push(component);
+                }
+            }
 
             return result;
         },
@@ -4892,16 +6716,33 @@ class AutomationPattern extends BasePattern {
                 keyValueSeparator: ':'
             });
             
+            // Older syntax named the check with a type: parameter and wrote basic:true
+            const legacySyntax = !segments.main && Boolean(segments.parameters.type) ||
+                segments.parameters.basic !== undefined;
+            const checkTypes = (segments.main || segments.parameters.type || 'flat').toLowerCase()
+                .split(',').map(checkType => checkType.trim()).filter(Boolean);
+            
             const result = {
-                checkType: segments.main || 'flat',
+                checkTypes: checkTypes,
                 dcMethod: 'none',
                 dc: null,
                 statistic: '',
-                basic: segments.flags.includes('basic'),
+                basic: segments.flags.includes('basic') || segments.parameters.basic === 'true',
                 options: segments.options,
                 traits: segments.traits,
                 displayText: displayText
             };
+            
+            // Lore checks are written as e.g. "warfare-lore"
+            const lore = checkTypes.find(checkType => checkType.endsWith('-lore'));
+            if (lore) {
+                result.checkTypes = checkTypes.map(checkType => checkType.endsWith('-lore') ? 'lore' : checkType);
+                result.loreName = lore.slice(0, -'-lore'.length);
+            }
+            
+            if (legacySyntax) {
+                result.legacySyntax = true;
+            }
 
             // Handle DC method and value
             if (segments.parameters.dc) {
@@ -4988,6 +6829,74 @@ class AutomationPattern extends BasePattern {
             };
         },
 
+        legacyDamage: function(match) {
+            const componentContent = match[1] || '';
+            // A #flavor label becomes the display text unless the roll already had one
+            const displayText = match[3] || (match[2] || '').trim();
+            
+            const result = {
+                components: [],
+                options: [],
+                healing: false,
+                displayText: displayText,
+                legacySyntax: true
+            };
+            
+            // Each component is a formula (optionally wrapped in {} or ()) followed by [types]
+            const componentPattern = /(\{[^{}\[\]]+\}|\([^()\[\]]+\)|[\dd+\-]+)\s*\[([^\]]+)\]/gi;
+            for (const [, formula, typeList] of componentContent.matchAll(componentPattern)) {
+                const dice = formula.replace(/^[{(]|[})]$/g, '').replace(/\s+/g, '');
+                const types = typeList.split(',').map(type => type.trim().toLowerCase());
+                
+                if (types.includes('healing')) {
+                    result.healing = true;
+                }
+                
+                const damageType = types.find(type => ConfigManager.ALL_DAMAGE_TYPES.slugs.includes(type));
+                const category = types.find(type => type && ConfigManager.DAMAGE_CATEGORIES.slugs.includes(type)) || '';
+                
+                result.components.push({
+                    dice: dice,
+                    damageType: damageType ? LegacyConversionManager.convertLegacyDamageType(damageType) : 'untyped',
+                    category: category
+                });
+            }
+            
+            // Not a damage roll (e.g. [[/r 1d20[attack]]]), so leave it to the generic roll pattern
+            const hasDamageType = result.components.some(component => component.damageType !== 'untyped' || component.category);
+            if (!hasDamageType && !result.healing) {
+                return null;
+            }
+            
+            return result;
+        },
+
+        legacyCondition: function(match) {
+            const identifier = (match[1] || '').trim();
+            const displayText = match[2] || '';
+            
+            // Old links used either the condition's name or its document ID
+            let conditionName = this.extractConditionNameFromUUID(`Compendium.pf2e.conditionitems.Item.${identifier}`);
+            if (!conditionName) {
+                const slug = InlineAutomation.toSlug(identifier);
+                const converted = LegacyConversionManager.convertLegacyCondition(slug) || slug;
+                if (ConfigManager.CONDITIONS.slugs.includes(converted)) {
+                    conditionName = converted;
+                }
+            }
+            
+            if (!conditionName) {
+                return null;
+            }
+            
+            return {
+                condition: conditionName,
+                value: this.extractConditionValueFromDisplayText(displayText),
+                displayText: displayText,
+                legacySyntax: true
+            };
+        },
+
         generic: function(match) {
             const dice = (match[1] || '').trim();
             const label = (match[2] || '').trim() || '';
@@ -5049,37 +6958,83 @@ class AutomationPattern extends BasePattern {
     };
 
     // Helper methods for handlers
-    static createComponentBoundaries(diceMatches, paramContent) {
-        const componentBoundaries = [];
-        
-        for (let i = 0; i < diceMatches.length; i++) {
-            const currentDice = diceMatches[i];
-            const nextDice = diceMatches[i + 1];
-            
-            const startPos = i === 0 ? 0 : componentBoundaries[i - 1].end;
-            const endPos = nextDice ? nextDice.index : paramContent.length;
-            
-            componentBoundaries.push({
-                start: startPos,
-                end: endPos,
-                diceMatch: currentDice
-            });
-        }
-        
-        return componentBoundaries;
-    }
 
-    // Keep existing helper methods
-    static findDamageTypeInComponent(componentText) {
-        const lowerText = componentText.toLowerCase();
-        
-        for (const damageType of ConfigManager.ALL_DAMAGE_TYPES.slugs) {
-            if (damageType && lowerText.includes(damageType)) {
-                return LegacyConversionManager.convertLegacyDamageType(damageType);
+    /**
+     * Split text on a separator, ignoring separators nested in (), [] or {}
+     * @param {string} text - Text to split
+     * @param {string} separator - Single separator character
+     * @returns {Array} - Pieces of the text
+     */
+    static splitTopLevel(text, separator) {
+        const pieces = [];
+        let depth = 0;
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if ('([{'.includes(char)) depth++;
+            else if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+            else if (char === separator && depth === 0) {
+                pieces.push(text.slice(start, i));
+                start = i + 1;
             }
         }
-        
-        return 'untyped';
+        pieces.push(text.slice(start));
+
+        return pieces;
+    }
+
+    /**
+     * Parse one damage partial such as 2d6[fire], (2d6+4)[persistent,fire] or (1d6[splash])[acid]
+     * @param {string} componentText - Text of the partial
+     * @returns {Object|null} - Component parameters, or null if there is no formula
+     */
+    static parseDamageComponent(componentText) {
+        let formula = componentText.trim();
+        const labels = [];
+
+        // Peel off trailing [types] and the parentheses they wrap until only the formula is left
+        let labelMatch;
+        while ((labelMatch = formula.match(/\[([^\[\]]*)\]$/))) {
+            labels.push(labelMatch[1]);
+            formula = this.unwrapParentheses(formula.slice(0, labelMatch.index).trim());
+        }
+        formula = this.unwrapParentheses(formula);
+
+        if (!formula) return null;
+
+        const labelText = labels.join(',');
+        return {
+            dice: formula,
+            damageType: this.findDamageTypeInComponent(labelText),
+            category: this.findDamageCategoryInComponent(labelText)
+        };
+    }
+
+    static unwrapParentheses(text) {
+        if (!text.startsWith('(')) return text;
+
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '(') depth++;
+            else if (text[i] === ')') depth--;
+            // The first parenthesis closes before the end, so it doesn't wrap everything
+            if (depth === 0 && i < text.length - 1) return text;
+        }
+        return text.slice(1, -1).trim();
+    }
+
+    // Keep existing helper methods
+    static findDamageTypeInComponent(componentText) {
+        const lowerText = componentText.toLowerCase();
+        
+        for (const damageType of ConfigManager.ALL_DAMAGE_TYPES.slugs) {
+            if (damageType && lowerText.includes(damageType)) {
+                return LegacyConversionManager.convertLegacyDamageType(damageType);
+            }
+        }
+        
+        return 'untyped';
     }
 
     static findDamageCategoryInComponent(componentText) {
@@ -5095,11 +7050,14 @@ class AutomationPattern extends BasePattern {
     }
 
     static extractConditionNameFromUUID(uuid) {
-        const conditions = ConfigManager.CONDITIONS;
+        const { uuids, staticUuids } = ConfigManager.CONDITIONS.metadata;
         
-        for (const [conditionSlug, conditionUUID] of Object.entries(conditions.metadata.uuids)) {
-            if (conditionUUID === uuid) {
-                return conditionSlug;
+        // Links written before a system update may still use the stored IDs
+        for (const table of [uuids, staticUuids]) {
+            for (const [conditionSlug, conditionUUID] of Object.entries(table)) {
+                if (conditionUUID === uuid) {
+                    return conditionSlug;
+                }
             }
         }
         
@@ -5120,41 +7078,67 @@ class DamagePattern extends BasePattern {
     static priority = 100;
     static description = 'Damage roll patterns';
 
+    // Level or attribute modifier added to a roll, e.g. "+ your Strength modifier", "plus half your level"
+    static get MODIFIER_TERM() {
+        return `(?:\\s*(?:\\+|-|plus|minus)\\s*(?:half\\s+)?(?:your|its|their|the\\s+caster's)\\s+(?:level|(?:${ConfigManager.ATTRIBUTES.pattern})\\s+modifier))`;
+    }
+
+    // Dice or flat number, optionally followed by modifier terms
+    static get DICE() {
+        return `\\d+(?:d\\d+)?(?:[+-]\\d+)?${this.MODIFIER_TERM}*`;
+    }
+
     static EXTRACTORS = {
         multi: (match) => DamagePattern.extractMultiDamageParameters(match),
-        single: (match) => DamagePattern.extractSingleDamageParameters(match)
+        single: (match) => DamagePattern.extractSingleDamageParameters(match),
+        equalTo: (match) => DamagePattern.extractEqualToParameters(match)
     };
 
-    static PATTERNS = [
-        // Multi-damage pattern (highest priority)
-        {
-            regex: new RegExp(`((?:\\d+(?:d\\d+)?(?:[+-]\\d+)?\\s+(?:(?:persistent\\s+)?(?:${ConfigManager.ALL_DAMAGE_TYPES.pattern})(?:\\s+(?:persistent|splash|precision))?|(?:${ConfigManager.ALL_DAMAGE_TYPES.pattern})\\s+(?:splash|precision)|(?:splash|precision)\\s+(?:${ConfigManager.ALL_DAMAGE_TYPES.pattern})|(?:${ConfigManager.ALL_DAMAGE_TYPES.pattern}))(?:\\s+damage)?(?:\\s*,\\s*|\\s*,\\s*and\\s*|\\s*,\\s*plus\\s*|\\s+and\\s+|\\s+plus\\s+))*\\d+(?:d\\d+)?(?:[+-]\\d+)?\\s+(?:(?:persistent\\s+)?(?:${ConfigManager.ALL_DAMAGE_TYPES.pattern})(?:\\s+(?:persistent|splash|precision))?|(?:${ConfigManager.ALL_DAMAGE_TYPES.pattern})\\s+(?:splash|precision)|(?:splash|precision)\\s+(?:${ConfigManager.ALL_DAMAGE_TYPES.pattern})|(?:${ConfigManager.ALL_DAMAGE_TYPES.pattern}))(?:\\s+damage)?)`, 'gi'),
-            priority: 110,
-            extractor: 'multi'
-        },
-        // Single damage pattern (handles persistent, splash, precision)
-        {
-            regex: new RegExp(`(\\d+(?:d\\d+)?(?:[+-]\\d+)?)\\s+(?:(?:persistent\\s+(${ConfigManager.ALL_DAMAGE_TYPES.pattern})|(${ConfigManager.ALL_DAMAGE_TYPES.pattern})\\s+(?:persistent|splash|precision))|(?:(${ConfigManager.ALL_DAMAGE_TYPES.pattern})\\s+(splash|precision))|(?:(splash|precision)\\s+(${ConfigManager.ALL_DAMAGE_TYPES.pattern})))(?:\\s+damage)?`, 'gi'),
-            priority: 100,
-            extractor: 'single'
-        },
-        // Untyped damage with categories or "damage" keyword
-        {
-            regex: new RegExp(`(\\d+(?:d\\d+)?(?:[+-]\\d+)?)\\s+(?:(persistent|splash|precision)\\s+)?damage`, 'gi'),
-            priority: 95,
-            extractor: 'single'
-        },
-        // Category-only damage (without "damage" keyword)
-        {
-            regex: new RegExp(`(\\d+(?:d\\d+)?(?:[+-]\\d+)?)\\s+(persistent|splash|precision)(?!\\s+(?:${ConfigManager.ALL_DAMAGE_TYPES.pattern}))`, 'gi'),
-            priority: 90,
-            extractor: 'single'
-        }
-    ];
+    static get PATTERNS() {
+        return ConfigManager.memoize('DamagePattern.PATTERNS', () => [
+            // Multi-damage pattern (highest priority)
+            {
+                regex: new RegExp(`((?:${this.DICE}\\s+(?:(?:persistent\\s+)?(?:${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})(?:\\s+(?:persistent|splash|precision))?|(?:${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})\\s+(?:splash|precision)|(?:splash|precision)\\s+(?:${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})|(?:${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern}))(?:\\s+damage)?(?:\\s*,\\s*|\\s*,\\s*and\\s*|\\s*,\\s*plus\\s*|\\s+and\\s+|\\s+plus\\s+))*${this.DICE}\\s+(?:(?:persistent\\s+)?(?:${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})(?:\\s+(?:persistent|splash|precision))?|(?:${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})\\s+(?:splash|precision)|(?:splash|precision)\\s+(?:${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})|(?:${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern}))(?:\\s+damage)?${this.MODIFIER_TERM}*)`, 'gi'),
+                priority: 110,
+                extractor: 'multi'
+            },
+            // Single damage pattern (handles persistent, splash, precision)
+            {
+                regex: new RegExp(`(${this.DICE})\\s+(?:(?:persistent\\s+(${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})|(${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})\\s+(?:persistent|splash|precision))|(?:(${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})\\s+(splash|precision))|(?:(splash|precision)\\s+(${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})))(?:\\s+damage)?${this.MODIFIER_TERM}*`, 'gi'),
+                priority: 100,
+                extractor: 'single'
+            },
+            // Untyped damage with categories or "damage" keyword
+            {
+                regex: new RegExp(`(${this.DICE})\\s+(?:(persistent|splash|precision)\\s+)?damage${this.MODIFIER_TERM}*`, 'gi'),
+                priority: 95,
+                extractor: 'single'
+            },
+            // Untyped dice with a level or attribute modifier: "1d8 + your Strength modifier"
+            {
+                regex: new RegExp(`(\\d+(?:d\\d+)?(?:[+-]\\d+)?${this.MODIFIER_TERM}+)(?!\\s+(?:${ConfigManager.HEALING_TERMS.pattern})\\b)`, 'gi'),
+                priority: 93,
+                extractor: 'single'
+            },
+            // Category-only damage (without "damage" keyword)
+            {
+                regex: new RegExp(`(${this.DICE})\\s+(persistent|splash|precision)(?!\\s+(?:${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern}))`, 'gi'),
+                priority: 90,
+                extractor: 'single'
+            },
+            // Damage without dice: "fire damage equal to your level". Only the amount is replaced,
+            // as with healing's "Hit Points equal to half your level".
+            {
+                regex: new RegExp(`(?<=\\b(?:(persistent|splash|precision)\\s+)?(?:(${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})\\s+)?damage\\s+equal\\s+to\\s+)((?:half\\s+)?(?:your|its|their|the\\s+caster's)\\s+(?:level|(?:${ConfigManager.ATTRIBUTES.pattern})\\s+modifier)${this.MODIFIER_TERM}*)`, 'gi'),
+                priority: 95,
+                extractor: 'equalTo'
+            }
+        ]);
+    }
 
     static extractMultiDamageParameters(match) {
         // Parse multiple damage components from the match
-        const singlePattern = new RegExp(`(\\d+(?:d\\d+)?(?:[+-]\\d+)?)\\s+(?:(?:persistent\\s+)?(?:(${ConfigManager.ALL_DAMAGE_TYPES.pattern}))(?:\\s+(persistent|splash|precision))?|(?:(${ConfigManager.ALL_DAMAGE_TYPES.pattern}))\\s+(splash|precision)|(?:(splash|precision))\\s+(${ConfigManager.ALL_DAMAGE_TYPES.pattern})|(?:(${ConfigManager.ALL_DAMAGE_TYPES.pattern})))(?:\\s+damage)?`, 'gi');
+        const singlePattern = new RegExp(`(${this.DICE})\\s+(?:(?:persistent\\s+)?(?:(${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern}))(?:\\s+(persistent|splash|precision))?|(?:(${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern}))\\s+(splash|precision)|(?:(splash|precision))\\s+(${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})|(?:(${ConfigManager.ALL_DAMAGE_TYPES.tokenPattern})))(?:\\s+damage)?${this.MODIFIER_TERM}*`, 'gi');
         
         const components = [];
         let m;
@@ -5168,7 +7152,8 @@ class DamagePattern extends BasePattern {
         return {
             components: components,
             options: [],
-            healing: false
+            healing: false,
+            displayText: this.getTrailingModifierDisplayText(match[0])
         };
     }
 
@@ -5177,13 +7162,42 @@ class DamagePattern extends BasePattern {
         return {
             components: component ? [component] : [],
             options: [],
-            healing: false
+            healing: false,
+            displayText: this.getTrailingModifierDisplayText(match[0])
+        };
+    }
+
+    static extractEqualToParameters(match) {
+        const dice = this.toFormula(`+ ${match[3] || ''}`);
+        if (!dice) return null;
+        
+        let damageType = (match[2] || '').toLowerCase();
+        if (damageType && LegacyConversionManager.isLegacyDamageType(damageType)) {
+            damageType = LegacyConversionManager.convertLegacyDamageType(damageType);
+        }
+        
+        return {
+            components: [{ dice: dice, damageType: damageType || 'untyped', category: (match[1] || '').toLowerCase() }],
+            options: [],
+            healing: false,
+            displayText: match[3]
         };
     }
 
+    /**
+     * Modifier terms written after the word "damage" ("2d6 fire damage plus your level") can't be
+     * split from it, so the matched wording becomes the display text instead of losing "damage"
+     * @param {string} text - Matched text
+     * @returns {string} - Display text, or '' when "damage" can stay outside the roll
+     */
+    static getTrailingModifierDisplayText(text) {
+        return new RegExp(`\\bdamage${this.MODIFIER_TERM}+$`, 'i').test(text) ? text : '';
+    }
+
     // Extract damage type and category by scanning the entire match text
     static extractSingleDamageComponent(match) {
-        const dice = match[1] || '';
+        // The match starts with the dice and may end with modifier terms ("... damage plus your level")
+        const dice = this.toFormula(match[0] || '');
         const originalText = match[0].toLowerCase();
         
         // Find damage type by scanning the entire match text for known damage types
@@ -5218,8 +7232,8 @@ class DamagePattern extends BasePattern {
             .sort((a, b) => b.length - a.length);
         
         for (const damageType of allDamageTypes) {
-            // Use word boundaries to avoid partial matches
-            const regex = new RegExp(`\\b${this.escapeRegex(damageType)}\\b`, 'i');
+            // Match whole tokens, so "holy fire" isn't read as fire and "void-fire" isn't read as void
+            const regex = new RegExp(`(?<![\\w-])${ConfigManager.ALL_DAMAGE_TYPES.tokenForm(damageType)}(?![\\w-])`, 'i');
             if (regex.test(normalizedText)) {
                 return damageType;
             }
@@ -5248,6 +7262,26 @@ class DamagePattern extends BasePattern {
         return '';
     }
 
+    /**
+     * Turn matched dice text into a roll formula, resolving modifier terms into roll data
+     * @param {string} text - Dice text such as "1d8 + your Strength modifier"
+     * @returns {string} - Formula such as "1d8+@actor.abilities.str.mod"
+     */
+    static toFormula(text) {
+        const diceMatch = text.match(/^\d+(?:d\d+)?(?:[+-]\d+)?/);
+        let formula = diceMatch ? diceMatch[0] : '';
+
+        const termPattern = new RegExp(`(\\+|-|plus|minus)\\s*(half\\s+)?(?:your|its|their|the\\s+caster's)\\s+(?:(level)|(${ConfigManager.ATTRIBUTES.pattern})\\s+modifier)`, 'gi');
+        for (const [, sign, half, level, attribute] of text.slice(formula.length).matchAll(termPattern)) {
+            let term = level ? '@actor.level' : ConfigManager.getAttributeModifierPath(attribute);
+            if (half) term = `floor(${term}/2)`;
+            const operator = /^(?:-|minus)$/i.test(sign) ? '-' : '+';
+            formula = formula ? `${formula}${operator}${term}` : term;
+        }
+
+        return formula;
+    }
+
     /**
      * Helper method to escape regex special characters
      * @param {string} string - String to escape
@@ -5337,53 +7371,94 @@ class CheckPattern extends BasePattern {
         perception: (match) => CheckPattern.extractPerceptionParameters(CheckPattern.getMatchedText(match)),
         lore: (match) => CheckPattern.extractLoreParameters(CheckPattern.getMatchedText(match)),
         flat: (match) => CheckPattern.extractFlatParameters(CheckPattern.getMatchedText(match)),
-        skill: (match) => CheckPattern.extractSkillParameters(CheckPattern.getMatchedText(match))
+        skill: (match) => CheckPattern.extractSkillParameters(CheckPattern.getMatchedText(match)),
+        multiple: (match) => CheckPattern.extractMultipleParameters(CheckPattern.getMatchedText(match)),
+        against: (match) => CheckPattern.extractAgainstParameters(CheckPattern.getMatchedText(match))
     };
 
-    static PATTERNS = [
-        // Comprehensive save pattern (highest priority)
-        {
-            regex: /\b(?:(?:basic\s+)?(?:DC\s*(\d{1,2})\s*[,;:]?\s*)?(fort(?:itude)?|ref(?:lex)?|will)(?:\s+(?:save|saving\s+throw))?(?:\s*[,;:]?\s*(?:basic\s+)?(?:DC\s*(\d{1,2}))?)?|(?:basic\s+)?(fort(?:itude)?|ref(?:lex)?|will)(?:\s+(?:save|saving\s+throw))?\s*(?:basic)?(?:\s*[,;:]?\s*(?:DC\s*(\d{1,2}))?)?|(?:basic\s+)?(?:DC\s*(\d{1,2})\s+)?(fort(?:itude)?|ref(?:lex)?|will)|(?:DC\s*(\d{1,2})\s+)?(?:basic\s+)?(fort(?:itude)?|ref(?:lex)?|will))\b/gi,
-            priority: 95,
-            extractor: 'save'
-        },
-        // Perception checks
-        {
-            regex: /(?:DC\s+(\d+)\s+)?Perception(?:\s+check)?/gi,
-            priority: 90,
-            extractor: 'perception'
-        },
-        // Lore skill checks (DC first)
-        {
-            regex: /(?:DC\s+(\d+)\s+)?([^0-9\n]+?)\s+Lore(?:\s+check)?/gi,
-            priority: 90,
-            extractor: 'lore'
-        },
-        // Lore skill checks (lore name first)
-        {
-            regex: /([^0-9\n]+?)\s+Lore\s+(?:DC\s+(\d+)\s+)?check/gi,
-            priority: 90,
-            extractor: 'lore'
-        },
-        // Lore skill checks (DC at end)
-        {
-            regex: /([^0-9\n]+?)\s+Lore(?:\s+check)?(?:\s+DC\s+(\d+))?/gi,
-            priority: 90,
-            extractor: 'lore'
-        },
-        // Flat checks
-        {
-            regex: /DC\s+(\d+)\s+flat\s+check/gi,
-            priority: 85,
-            extractor: 'flat'
-        },
-        // Single skill checks
-        {
-            regex: new RegExp(`(?:DC\\s+(\\d+)\\s+)?(${ConfigManager.SKILLS.pattern})(?:\\s+check)?`, 'gi'),
-            priority: 80,
-            extractor: 'skill'
-        }
-    ];
+    // Statistics that can be offered together, e.g. "Athletics or Acrobatics"
+    static get STATISTIC_PATTERN() {
+        return `fort(?:itude)?|ref(?:lex)?|will|perception|${ConfigManager.SKILLS.pattern}`;
+    }
+
+    // Whose DC a check is against: "your" is the origin, anyone else is the target
+    static AGAINST_OWNER_PATTERN = `your|its|their|(?:the|a|an)\\s+(?:target|creature|foe|enemy|opponent)['’]s`;
+
+    // The DC in "against the target's Fortitude DC", "against your class DC or spell DC", "against its AC"
+    static get AGAINST_DC_PATTERN() {
+        return `(?:class\\s+DC\\s+or\\s+spell|class\\s+or\\s+spell|${this.STATISTIC_PATTERN}|class|spell)\\s+DC|AC|Armor\\s+Class`;
+    }
+
+    static get PATTERNS() {
+        return ConfigManager.memoize('CheckPattern.PATTERNS', () => [
+            // Checks against another statistic's DC: "Athletics check against the target's Fortitude DC"
+            {
+                regex: new RegExp(
+                    `\\b(?:basic\\s+)?(?:${CheckPattern.STATISTIC_PATTERN})` +
+                    `(?:(?:\\s*,\\s*(?:${CheckPattern.STATISTIC_PATTERN}))*,?\\s+or\\s+(?:${CheckPattern.STATISTIC_PATTERN}))?` +
+                    `(?:\\s+(?:save|saving\\s+throw|check))?\\s+against\\s+(?:${CheckPattern.AGAINST_OWNER_PATTERN})\\s+` +
+                    `(?:${CheckPattern.AGAINST_DC_PATTERN})\\b`,
+                    'gi'
+                ),
+                priority: 97,
+                extractor: 'against'
+            },
+            // Several statistics sharing one DC: "DC 25 Athletics or Acrobatics check", "Fortitude or Reflex save"
+            {
+                regex: new RegExp(
+                    `\\b(?:DC\\s*\\d{1,2}\\s+)?(?:basic\\s+)?(?:${CheckPattern.STATISTIC_PATTERN})` +
+                    `(?:\\s*,\\s*(?:${CheckPattern.STATISTIC_PATTERN}))*,?\\s+or\\s+(?:${CheckPattern.STATISTIC_PATTERN})\\b` +
+                    `(?:\\s+(?:save|saving\\s+throw|check))?(?:\\s*,?\\s*DC\\s*\\d{1,2})?`,
+                    'gi'
+                ),
+                priority: 96,
+                extractor: 'multiple'
+            },
+            // Comprehensive save pattern (highest priority)
+            {
+                regex: /\b(?:(?:basic\s+)?(?:DC\s*(\d{1,2})\s*[,;:]?\s*)?(fort(?:itude)?|ref(?:lex)?|will)(?:\s+(?:save|saving\s+throw))?(?:\s*[,;:]?\s*(?:basic\s+)?(?:DC\s*(\d{1,2}))?)?|(?:basic\s+)?(fort(?:itude)?|ref(?:lex)?|will)(?:\s+(?:save|saving\s+throw))?\s*(?:basic)?(?:\s*[,;:]?\s*(?:DC\s*(\d{1,2}))?)?|(?:basic\s+)?(?:DC\s*(\d{1,2})\s+)?(fort(?:itude)?|ref(?:lex)?|will)|(?:DC\s*(\d{1,2})\s+)?(?:basic\s+)?(fort(?:itude)?|ref(?:lex)?|will))\b/gi,
+                priority: 95,
+                extractor: 'save'
+            },
+            // Perception checks
+            {
+                regex: /(?:DC\s+(\d+)\s+)?Perception(?:\s+check)?/gi,
+                priority: 90,
+                extractor: 'perception'
+            },
+            // Lore skill checks (DC first)
+            {
+                regex: /(?:DC\s+(\d+)\s+)?([^0-9\n]+?)\s+Lore(?:\s+check)?/gi,
+                priority: 90,
+                extractor: 'lore'
+            },
+            // Lore skill checks (lore name first)
+            {
+                regex: /([^0-9\n]+?)\s+Lore\s+(?:DC\s+(\d+)\s+)?check/gi,
+                priority: 90,
+                extractor: 'lore'
+            },
+            // Lore skill checks (DC at end)
+            {
+                regex: /([^0-9\n]+?)\s+Lore(?:\s+check)?(?:\s+DC\s+(\d+))?/gi,
+                priority: 90,
+                extractor: 'lore'
+            },
+            // Flat checks
+            {
+                regex: /DC\s+(\d+)\s+flat\s+check/gi,
+                priority: 85,
+                extractor: 'flat'
+            },
+            // Single skill checks, including secret ones ("a DC 20 secret Occultism check"), with the
+            // DC before or after ("Stealth DC 17" in hazard stat blocks)
+            {
+                regex: new RegExp(`(?:DC\\s+(\\d+)\\s+(?:secret\\s+)?)?(${ConfigManager.SKILLS.pattern})(?:\\s+check)?(?:\\s+DC\\s+(\\d+))?`, 'gi'),
+                priority: 80,
+                extractor: 'skill'
+            }
+        ]);
+    }
 
     /**
      * Create a replacement object from a match and parameters
@@ -5457,6 +7532,48 @@ class CheckPattern extends BasePattern {
         };
     }
 
+    static extractMultipleParameters(text) {
+        const dc = this.extractDC(text);
+        const saveNames = { fort: 'fortitude', ref: 'reflex' };
+        const checkTypes = [...text.matchAll(new RegExp(`\\b(?:${this.STATISTIC_PATTERN})\\b`, 'gi'))]
+            .map(match => match[0].toLowerCase())
+            .map(name => saveNames[name] || name);
+
+        return {
+            checkTypes: [...new Set(checkTypes)],
+            dcMethod: dc !== null ? 'static' : 'none',
+            dc: dc,
+            basic: this.containsWord(text.toLowerCase(), 'basic')
+        };
+    }
+
+    static extractAgainstParameters(text) {
+        const [checkText, againstText] = text.split(/\s+against\s+/i);
+        const owner = againstText.match(new RegExp(`^(?:${this.AGAINST_OWNER_PATTERN})`, 'i'))[0];
+
+        return {
+            ...this.extractMultipleParameters(checkText),
+            dcMethod: /^your$/i.test(owner) ? 'origin' : 'target',
+            dc: null,
+            statistic: this.extractDCStatistic(againstText.slice(owner.length))
+        };
+    }
+
+    /**
+     * Get the statistic slug of a DC: "Fortitude DC" -> 'fortitude', "class DC or spell DC" -> 'class-spell'
+     * @param {string} text - Text naming the DC
+     * @returns {string} - Statistic slug
+     */
+    static extractDCStatistic(text) {
+        const normalizedText = text.toLowerCase().replace(/\s+/g, ' ').trim();
+        if (/\bclass\b.*\bspell\b/.test(normalizedText)) return 'class-spell';
+        if (/^(?:ac|armor class)$/.test(normalizedText)) return 'ac';
+
+        const name = normalizedText.replace(/\s+dc$/, '');
+        const saveNames = { fort: 'fortitude', ref: 'reflex' };
+        return saveNames[name] || name;
+    }
+
     static extractPerceptionParameters(text) {
         const dc = this.extractDC(text);
         
@@ -5530,22 +7647,39 @@ class HealingPattern extends BasePattern {
     static description = 'Healing roll patterns';
 
     static EXTRACTORS = {
-        healing: (match) => HealingPattern.extractHealingParameters(match)
+        healing: (match) => HealingPattern.extractHealingParameters(match),
+        healingEqualTo: (match) => HealingPattern.extractHealingEqualToParameters(match)
     };
 
-    static PATTERNS = [
-        {
-            regex: new RegExp(`(\\d+(?:d\\d+)?(?:[+-]\\d+)?)(?=\\s+\\b(?:${ConfigManager.HEALING_TERMS.pattern})\\b)`, 'gi'),
-            priority: 80,
-            extractor: 'healing'
-        }
-    ];
+    static get PATTERNS() {
+        return ConfigManager.memoize('HealingPattern.PATTERNS', () => [
+            {
+                regex: new RegExp(`(${DamagePattern.DICE})(?=\\s+\\b(?:${ConfigManager.HEALING_TERMS.pattern})\\b)`, 'gi'),
+                priority: 80,
+                extractor: 'healing'
+            },
+            // Healing without dice: "Hit Points equal to half your level". Only the amount is replaced,
+            // keeping the wording as display text.
+            {
+                regex: new RegExp(`(?<=\\b(?:${ConfigManager.HEALING_TERMS.pattern})\\s+equal\\s+to\\s+)((?:half\\s+)?(?:your|its|their|the\\s+caster's)\\s+(?:level|(?:${ConfigManager.ATTRIBUTES.pattern})\\s+modifier)${DamagePattern.MODIFIER_TERM}*)`, 'gi'),
+                priority: 80,
+                extractor: 'healingEqualTo'
+            }
+        ]);
+    }
 
     static extractHealingParameters(match) {
-        const dice = match[1] || '';
+        const dice = DamagePattern.toFormula(match[1] || '');
         const healingComponent = { dice: dice, damageType: 'untyped', category: '' };
         return { components: [healingComponent], options: [], healing: true };
     }
+
+    static extractHealingEqualToParameters(match) {
+        const dice = DamagePattern.toFormula(`+ ${match[1] || ''}`);
+        if (!dice) return null;
+        const healingComponent = { dice: dice, damageType: 'untyped', category: '' };
+        return { components: [healingComponent], options: [], healing: true, displayText: match[1] };
+    }
 }
 
 // Pattern that matches condition links
@@ -5559,20 +7693,22 @@ class ConditionPattern extends BasePattern {
         condition: (match) => ConditionPattern.extractConditionParameters(match)
     };
 
-    static PATTERNS = [
-        // Legacy flat-footed
-        {
-            regex: /(?<!@UUID\[[^\]]*\]\{[^}]*\})\b(flat-footed)\b(?!\})/gi,
-            priority: 75,
-            extractor: 'legacy'
-        },
-        // Condition linking
-        {
-            regex: new RegExp(`(?<!@UUID\\[[^\\]]*\\]\\{[^}]*\\})\\b(${ConfigManager.CONDITIONS.pattern})(?:\\s+(\\d+))?\\b(?!\\})`, 'gi'),
-            priority: 70,
-            extractor: 'condition'
-        }
-    ];
+    static get PATTERNS() {
+        return ConfigManager.memoize('ConditionPattern.PATTERNS', () => [
+            // Legacy flat-footed
+            {
+                regex: /(?<!@UUID\[[^\]]*\]\{[^}]*\})\b(flat-footed)\b(?!\})/gi,
+                priority: 75,
+                extractor: 'legacy'
+            },
+            // Condition linking
+            {
+                regex: new RegExp(`(?<!@UUID\\[[^\\]]*\\]\\{[^}]*\\})\\b(${ConfigManager.CONDITIONS.patternWithAlternates})(?:\\s+(\\d+))?\\b(?!\\})`, 'gi'),
+                priority: 70,
+                extractor: 'condition'
+            }
+        ]);
+    }
 
     static extractLegacyParameters(match) {
         const text = match[1] || '';
@@ -5599,6 +7735,7 @@ class ConditionPattern extends BasePattern {
             conditionText = valueMatch[1];
             value = parseInt(valueMatch[2]);
         }
+        conditionText = ConfigManager.CONDITIONS.findCanonicalForm(conditionText) || conditionText;
         return {
             condition: conditionText.toLowerCase().trim(),
             value: value,
@@ -5618,20 +7755,22 @@ class TemplatePattern extends BasePattern {
         within: (match) => TemplatePattern.extractWithinParameters(match)
     };
 
-    static PATTERNS = [
-        // Standard template patterns
-        {
-            regex: new RegExp(`(\\d+)(?:[\\s-]+)(?:foot|feet)\\s+(${ConfigManager.TEMPLATE_CONFIG.all.pattern})`, 'gi'),
-            priority: 60,
-            extractor: 'area'
-        },
-        // "within X feet" pattern
-        {
-            regex: /within\s+(\d+)\s+(?:foot|feet)/gi,
-            priority: 60,
-            extractor: 'within'
-        }
-    ];
+    static get PATTERNS() {
+        return ConfigManager.memoize('TemplatePattern.PATTERNS', () => [
+            // Standard template patterns
+            {
+                regex: new RegExp(`(\\d+)(?:[\\s-]+)(?:foot|feet)\\s+(${ConfigManager.TEMPLATE_CONFIG.all.pattern})`, 'gi'),
+                priority: 60,
+                extractor: 'area'
+            },
+            // "within X feet" pattern
+            {
+                regex: /within\s+(\d+)\s+(?:foot|feet)/gi,
+                priority: 60,
+                extractor: 'within'
+            }
+        ]);
+    }
 
     static extractAreaParameters(match) {
         const distance = parseInt(match[1]) || 30;
@@ -5682,13 +7821,15 @@ class DurationPattern extends BasePattern {
         duration: (match) => DurationPattern.extractDurationParameters(match)
     };
 
-    static PATTERNS = [
-        {
-            regex: new RegExp(`(\\d+d\\d+(?:[+-]\\d+)?|\\d+)(?:\\s+)(${ConfigManager.DURATION_UNITS.pattern})`, 'gi'),
-            priority: 50,
-            extractor: 'duration'
-        }
-    ];
+    static get PATTERNS() {
+        return ConfigManager.memoize('DurationPattern.PATTERNS', () => [
+            {
+                regex: new RegExp(`(\\d+d\\d+(?:[+-]\\d+)?|\\d+)(?:\\s+)(${ConfigManager.DURATION_UNITS.pattern})`, 'gi'),
+                priority: 50,
+                extractor: 'duration'
+            }
+        ]);
+    }
 
     static extractDurationParameters(match) {
         const dice = match[1] || '';
@@ -5755,29 +7896,138 @@ class ActionPattern extends BasePattern {
     static description = 'Action patterns';
 
     static EXTRACTORS = {
-        action: (match) => ActionPattern.extractActionParameters(match)
+        action: (match) => ActionPattern.extractActionParameters(match),
+        actionAgainst: (match) => ActionPattern.extractActionAgainstParameters(match),
+        actionAgainstOrigin: (match) => ActionPattern.extractActionAgainstOriginParameters(match)
     };
 
-    static PATTERNS = [
-        {
-            // Action with DC in parentheses: "Escape (DC 34)"
-            regex: new RegExp(`\\b(${ConfigManager.ACTIONS.patternWithAlternates})\\s*\\(\\s*DC\\s*(\\d{1,2})\\s*\\)`, 'gi'),
-            priority: 45,
-            extractor: 'action'
-        },
-        {
-            // Action with DC after: "Treat Poison DC 28"
-            regex: new RegExp(`\\b(${ConfigManager.ACTIONS.patternWithAlternates})\\s+DC\\s*(\\d{1,2})\\b`, 'gi'),
-            priority: 45,
-            extractor: 'action'
-        },
-        {
-            // Plain actions without DC
-            regex: new RegExp(`\\b(${ConfigManager.ACTIONS.patternWithAlternates})\\b`, 'gi'),
-            priority: 40,
-            extractor: 'action'
+    /**
+     * Skip actions only the live system knows unless they're written as a name: capitalized and
+     * not just the first word of a sentence ("make a Strike", but not "strike again" or "Rest.")
+     * @param {Array} match - Regex match array, with the action text in group 1
+     * @returns {boolean} Whether the match is valid
+     */
+    static validateMatch(match) {
+        if (!super.validateMatch(match)) return false;
+
+        const actionText = (match[1] || '').trim();
+        const action = ConfigManager.ACTIONS.findCanonicalForm(actionText);
+        if (!ConfigManager.ACTIONS.metadata.liveOnly?.has(action)) return true;
+
+        const before = match.input.slice(0, match.index);
+        return /^[A-Z]/.test(actionText) && !/(?:^|[.!?:>\n])\s*$/.test(before);
+    }
+
+    // Skills rolled by actions, for when the system's action doesn't say (or isn't loaded)
+    static ACTION_CHECK_TYPES = {
+        'balance': ['acrobatics'], 'maneuver-in-flight': ['acrobatics'], 'squeeze': ['acrobatics'],
+        'tumble-through': ['acrobatics'],
+        'climb': ['athletics'], 'disarm': ['athletics'], 'force-open': ['athletics'], 'grapple': ['athletics'],
+        'high-jump': ['athletics'], 'long-jump': ['athletics'], 'reposition': ['athletics'], 'shove': ['athletics'],
+        'swim': ['athletics'], 'trip': ['athletics'],
+        'escape': ['acrobatics', 'athletics'],
+        'create-a-diversion': ['deception'], 'feint': ['deception'], 'impersonate': ['deception'], 'lie': ['deception'],
+        'gather-information': ['diplomacy'], 'make-an-impression': ['diplomacy'], 'request': ['diplomacy'],
+        'coerce': ['intimidation'], 'demoralize': ['intimidation'],
+        'administer-first-aid': ['medicine'], 'treat-disease': ['medicine'], 'treat-poison': ['medicine'],
+        'perform': ['performance'],
+        'seek': ['perception'], 'sense-motive': ['perception'],
+        'conceal-an-object': ['stealth'], 'hide': ['stealth'], 'sneak': ['stealth'],
+        'palm-an-object': ['thievery'], 'pick-a-lock': ['thievery'], 'steal': ['thievery']
+    };
+
+    static get PATTERNS() {
+        return ConfigManager.memoize('ActionPattern.PATTERNS', () => [
+            {
+                // Action against the target's statistic: "Grapple against the target's Fortitude DC"
+                regex: new RegExp(
+                    `\\b(${ConfigManager.ACTIONS.patternWithAlternates})(?:\\s+check)?\\s+against\\s+` +
+                    `(?!your\\b)(?:${CheckPattern.AGAINST_OWNER_PATTERN})\\s+(?:${CheckPattern.AGAINST_DC_PATTERN})\\b`,
+                    'gi'
+                ),
+                priority: 98,
+                extractor: 'actionAgainst'
+            },
+            {
+                // Action against your own DC: "Escape against your spell DC". /act can only resolve a
+                // statistic on the target, so this becomes a check of the action's skills instead.
+                regex: new RegExp(
+                    `\\b(${ConfigManager.ACTIONS.patternWithAlternates})(?:\\s+check)?\\s+against\\s+` +
+                    `your\\s+(?:${CheckPattern.AGAINST_DC_PATTERN})\\b`,
+                    'gi'
+                ),
+                type: 'check',
+                priority: 98,
+                extractor: 'actionAgainstOrigin'
+            },
+            {
+                // Action with DC in parentheses: "Escape (DC 34)"
+                regex: new RegExp(`\\b(${ConfigManager.ACTIONS.patternWithAlternates})\\s*\\(\\s*DC\\s*(\\d{1,2})\\s*\\)`, 'gi'),
+                priority: 45,
+                extractor: 'action'
+            },
+            {
+                // Action with DC after: "Treat Poison DC 28"
+                regex: new RegExp(`\\b(${ConfigManager.ACTIONS.patternWithAlternates})\\s+DC\\s*(\\d{1,2})\\b`, 'gi'),
+                priority: 45,
+                extractor: 'action'
+            },
+            {
+                // Plain actions without DC
+                regex: new RegExp(`\\b(${ConfigManager.ACTIONS.patternWithAlternates})\\b`, 'gi'),
+                priority: 40,
+                extractor: 'action'
+            }
+        ]);
+    }
+
+    static extractActionAgainstParameters(match) {
+        const againstText = match[0].slice(match[0].search(/\s+against\s+/i)).replace(/^\s+against\s+/i, '');
+        const owner = againstText.match(new RegExp(`^(?:${CheckPattern.AGAINST_OWNER_PATTERN})`, 'i'))[0];
+
+        return {
+            ...this.extractActionParameters([match[0], match[1]]),
+            dcMethod: 'target',
+            statistic: CheckPattern.extractDCStatistic(againstText.slice(owner.length))
+        };
+    }
+
+    /**
+     * Get a check against your own DC for an action, rolled with the action's skills
+     * @param {Array} match - Regex match array
+     * @returns {Object|null} - Check parameters, or null when the action's skills aren't known
+     */
+    static extractActionAgainstOriginParameters(match) {
+        const { action } = this.extractActionParameters([match[0], match[1]]);
+        const checkTypes = this.getActionCheckTypes(action);
+        if (checkTypes.length === 0) return null;
+
+        const againstText = match[0].slice(match[0].search(/\s+against\s+/i)).replace(/^\s+against\s+your\s+/i, '');
+        return {
+            checkTypes,
+            dcMethod: 'origin',
+            dc: null,
+            statistic: CheckPattern.extractDCStatistic(againstText),
+            displayText: ConfigManager.ACTIONS._toTitleCase(match[1].trim())
+        };
+    }
+
+    /**
+     * Get the check types an action rolls, from the system's action when it names them
+     * @param {string} action - Action slug
+     * @returns {Array} - Check type slugs, empty when unknown
+     */
+    static getActionCheckTypes(action) {
+        let statistic;
+        try {
+            statistic = globalThis.game?.pf2e?.actions?.get?.(action)?.statistic;
+        } catch (error) {
+            statistic = null;
         }
-    ];
+        const live = (Array.isArray(statistic) ? statistic : [statistic])
+            .filter(slug => typeof slug === 'string' && ConfigManager.CHECK_TYPES.slugs.includes(slug));
+        return live.length > 0 ? live : (this.ACTION_CHECK_TYPES[action] || []);
+    }
 
     static extractActionParameters(match) {
         const actionText = match[1] || '';
@@ -5819,37 +8069,213 @@ class ActionPattern extends BasePattern {
     }
 }
 
-// PatternDetector - detects all patterns in text
-class PatternDetector {
-    static PATTERN_CLASSES = [
-        AutomationPattern,
-        DamagePattern,
-        CheckPattern,
-        HealingPattern,
-        ConditionPattern,
-        TemplatePattern,
-        DurationPattern,
-        CounteractPattern,
-        ActionPattern,
-        SpellAttackPattern
-    ];
+// Pattern that links the names of compendium documents (spells, feats, items, actions, effects).
+// Names come from ConfigManager's document index rather than a regex, so test() is overridden.
+class CompendiumLinkPattern extends BasePattern {
+    static type = 'link';
+    static priority = 30;
+    static description = 'Compendium document links';
+
+    // Existing inline syntax that must not be linked again
+    static PROTECTED_SYNTAX = /@\w+\[[^\]]*\](?:\{[^}]*\})?|\[\[[\s\S]*?\]\](?:\{[^}]*\})?/g;
+
+    static WORD = /[A-Za-z0-9][A-Za-z0-9'’-]*/g;
+
+    static CAST_WORDS = ['cast', 'casts', 'casting', 'cast’s'];
 
     /**
-     * Detect all patterns in text
-     * @param {string} text - Text to analyze
-     * @returns {Array} - All matches with conflicts resolved
+     * Find indexed document names in text. Multi-word names match anywhere; single-word
+     * names only when capitalized mid-sentence or right after "cast(s)", so ordinary
+     * words like "light" or "fear" aren't linked.
+     * @param {string} text - Text to test
+     * @param {Object} context - precedingText is the text before this one (HTML input splits sentences at tags)
+     * @returns {Array} Array of match objects
      */
-    static detectAll(text) {
-        const allMatches = [];
-        
-        // Test each pattern class directly
-        for (const PatternClass of this.PATTERN_CLASSES) {
-            try {
-                const matches = PatternClass.test(text);
-                allMatches.push(...matches);
-            } catch (error) {
-                console.error(`[PF2e Converter] Error in pattern ${PatternClass.type}:`, error);
-                console.error('[PF2e Converter] Error stack:', error.stack);
+    static test(text, context = {}) {
+        const maxWords = ConfigManager._documentIndexMaxWords;
+        if (!text || maxWords === 0) return [];
+
+        // Prepend the preceding text so "cast" and sentence starts can be seen across tags
+        const offset = (context.precedingText || '').length;
+        text = (context.precedingText || '') + text;
+
+        const protectedRanges = [...text.matchAll(this.PROTECTED_SYNTAX)]
+            .map(match => [match.index, match.index + match[0].length]);
+        const words = [...text.matchAll(this.WORD)]
+            .filter(word => !protectedRanges.some(([start, end]) => word.index < end && word.index + word[0].length > start));
+
+        const matches = [];
+        let i = 0;
+        while (i < words.length) {
+            const found = words[i].index >= offset && this.findLongestName(text, words, i, maxWords);
+            if (!found) {
+                i++;
+                continue;
+            }
+
+            const start = words[i].index;
+            const last = words[i + found.length - 1];
+            const match = [text.slice(start, last.index + last[0].length)];
+            match.index = start - offset;
+            match.input = text.slice(offset);
+
+            matches.push({
+                match: match,
+                type: this.type,
+                priority: this.priority,
+                patternClass: this,
+                config: {
+                    pattern: null,
+                    parameters: this.extractParameters(match, found.candidates)
+                }
+            });
+            i += found.length;
+        }
+
+        return matches;
+    }
+
+    /**
+     * Find the longest indexed name starting at a word
+     * @param {string} text - Full text
+     * @param {Array} words - Word matches in the text
+     * @param {number} startIndex - Index of the first word
+     * @param {number} maxWords - Longest name in the index, in words
+     * @returns {Object|null} - Number of words and the candidates, or null
+     */
+    static findLongestName(text, words, startIndex, maxWords) {
+        let end = startIndex;
+        // Names can't span punctuation, so stop at the first non-whitespace gap
+        while (end + 1 < words.length && end + 1 - startIndex < maxWords) {
+            const gap = text.slice(words[end].index + words[end][0].length, words[end + 1].index);
+            if (!/^\s+$/.test(gap)) break;
+            end++;
+        }
+
+        for (let last = end; last >= startIndex; last--) {
+            const phrase = words.slice(startIndex, last + 1).map(word => word[0]).join(' ');
+            const candidates = ConfigManager.findDocuments(phrase);
+            if (candidates.length === 0) continue;
+            if (last === startIndex && !this.isLikelySingleWordName(text, words, startIndex)) continue;
+            return { length: last - startIndex + 1, candidates };
+        }
+
+        return null;
+    }
+
+    static isLikelySingleWordName(text, words, index) {
+        const previous = words[index - 1];
+        if (previous && this.CAST_WORDS.includes(previous[0].toLowerCase())) {
+            const gap = text.slice(previous.index + previous[0].length, words[index].index);
+            if (/^[ \t"'“‘(*_]*$/.test(gap)) return true;
+        }
+
+        const word = words[index][0];
+        if (word.charAt(0) !== word.charAt(0).toUpperCase() || /^\d/.test(word)) {
+            return false;
+        }
+
+        // Capitalized words at the start of a sentence, line or tag are just capitalized
+        const before = text.slice(0, words[index].index).replace(/[ \t"'“‘(*_]+$/, '');
+        return before !== '' && !/[.!?:;>\n]$/.test(before);
+    }
+
+    static extractParameters(match, candidates) {
+        const matchedText = match[0];
+        const first = candidates[0];
+        return {
+            uuid: first.uuid,
+            candidates: candidates,
+            // Keep the author's wording unless it is exactly the document's name
+            displayText: matchedText === first.name ? '' : matchedText
+        };
+    }
+}
+
+// Pattern that matches NPC Strike lines: "Melee [one-action] jaws +18 (agile, reach 10 feet), Damage ..."
+// Only the attack bonus (and any printed MAP, e.g. "[+14/+10]") is replaced; the name and traits stay as text.
+class StrikePattern extends BasePattern {
+    static type = 'strike';
+    static priority = 150;
+    static description = 'NPC Strike patterns';
+
+    static EXTRACTORS = {
+        strike: (match) => StrikePattern.extractStrikeParameters(match)
+    };
+
+    // Weapon name, with any rune prefix: "jaws", "+1 striking longsword", "+2 greater striking flail"
+    static NAME_PATTERN = String.raw`(?:\+\d\s+)?[A-Za-z][A-Za-z' -]*?`;
+
+    static PATTERNS = [
+        {
+            regex: new RegExp(String.raw`(?<=\b(?:Melee|Ranged)\s*(?:\[(?:one-action|1)\]|◆|\b1\b)?\s*(${StrikePattern.NAME_PATTERN})\s+)([+-]\d{1,2})(?:\s*\[[+-]\d{1,2}\/[+-]\d{1,2}\])?(?=(?:\s*\(([^)]*)\))?)`, 'g'),
+            priority: 150,
+            extractor: 'strike'
+        }
+    ];
+
+    /**
+     * Test text, looking back into the preceding text for "Melee"/"Ranged"
+     * (HTML input puts the action glyph in its own element)
+     * @param {string} text - Text to test
+     * @param {Object} context - precedingText is the text before this one in the same block
+     * @returns {Array} Array of match objects
+     */
+    static test(text, context = {}) {
+        const precedingText = context.precedingText || '';
+        return super.test(precedingText + text)
+            .filter(result => result.match.index >= precedingText.length)
+            .map(result => {
+                result.match.index -= precedingText.length;
+                return result;
+            });
+    }
+
+    static extractStrikeParameters(match) {
+        const name = match[1].trim();
+        return {
+            name: name.charAt(0).toUpperCase() + name.slice(1),
+            bonus: parseInt(match[2]),
+            traits: this.parseTraits(match[3] || '')
+        };
+    }
+
+    /**
+     * Turn a stat block trait list into trait slugs: "agile, reach 10 feet" -> ['agile', 'reach-10']
+     * @param {string} traitText - Text inside the parentheses
+     * @returns {Array} - Trait slugs
+     */
+    static parseTraits(traitText) {
+        return traitText.split(',')
+            .map(trait => trait.replace(/\b(?:feet|foot|ft\.?)(?=\s|$)/gi, '').trim())
+            .filter(trait => trait !== '')
+            .map(trait => InlineAutomation.toSlug(trait));
+    }
+}
+
+// PatternDetector - detects all patterns in text
+class PatternDetector {
+    static get PATTERN_CLASSES() {
+        return AutomationRegistry.getPatternClasses();
+    }
+
+    /**
+     * Detect all patterns in text
+     * @param {string} text - Text to analyze
+     * @param {Object} context - Optional surrounding information (precedingText: text just before this one)
+     * @returns {Array} - All matches with conflicts resolved
+     */
+    static detectAll(text, context = {}) {
+        const allMatches = [];
+        
+        // Test each pattern class directly
+        for (const PatternClass of this.PATTERN_CLASSES) {
+            try {
+                const matches = PatternClass.test(text, context);
+                allMatches.push(...matches);
+            } catch (error) {
+                console.error(`[PF2e Converter] Error in pattern ${PatternClass.type}:`, error);
+                console.error('[PF2e Converter] Error stack:', error.stack);
             }
         }
 
@@ -5864,7 +8290,8 @@ class PatternDetector {
      * @returns {Replacement} - Replacement instance
      */
     static createReplacement(matchResult) {
-        const PatternClass = this.PATTERN_CLASSES.find(cls => cls.type === matchResult.type);
+        const PatternClass = this.PATTERN_CLASSES.find(cls => cls.type === matchResult.type) ||
+            matchResult.patternClass;
         if (!PatternClass) {
             throw new Error(`No pattern class found for type: ${matchResult.type}`);
         }
@@ -5929,6 +8356,139 @@ class PatternDetector {
     }
 }
 
+// ==================== AUTOMATION REGISTRY ====================
+// Pattern, inline automation and renderer classes by type. Module and world scripts add their own
+// types from the 'rollconverter.registerPatterns' hook, which is called with this registry and the
+// base classes to extend. Other hooks let them take part in processing:
+//   rollconverter.preProcess(data)                 - data.text is the input; change it to change what is processed
+//   rollconverter.postDetect(replacements, data)   - replacements were created, before business rules
+//   rollconverter.preRender(replacements, data)    - replacements are about to be rendered into data.text
+
+class AutomationRegistry {
+    static _types = new Map();
+    static _patterns = [];
+    static _initialized = false;
+
+    /**
+     * Register the built-in types, then let other code register theirs
+     */
+    static initialize() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        this.register('damage', { automation: InlineDamage, renderer: DamageRenderer });
+        this.register('check', { automation: InlineCheck, renderer: CheckRenderer });
+        this.register('condition', { automation: InlineCondition, renderer: ConditionRenderer });
+        this.register('template', { automation: InlineTemplate, renderer: TemplateRenderer });
+        this.register('generic', { automation: InlineGenericRoll, renderer: GenericRollRenderer });
+        this.register('action', { automation: InlineAction, renderer: ActionRenderer });
+        this.register('link', { automation: InlineDocumentLink, renderer: LinkRenderer });
+        this.register('strike', { automation: InlineStrike, renderer: StrikeRenderer });
+
+        [
+            AutomationPattern,
+            StrikePattern,
+            DamagePattern,
+            CheckPattern,
+            HealingPattern,
+            ConditionPattern,
+            TemplatePattern,
+            DurationPattern,
+            CounteractPattern,
+            ActionPattern,
+            SpellAttackPattern,
+            CompendiumLinkPattern
+        ].forEach(PatternClass => this.registerPattern(PatternClass));
+
+        this.callHook('registerPatterns', this, { BasePattern, InlineAutomation, BaseRenderer, BusinessRule });
+    }
+
+    /**
+     * Register an automation type
+     * @param {string} type - Type key, as used by Replacement and the pattern classes
+     * @param {Object} classes - automation (InlineAutomation subclass), renderer (BaseRenderer subclass)
+     *   and optionally patterns (BasePattern subclasses that detect this type)
+     */
+    static register(type, { automation, renderer, patterns = [] }) {
+        if (!(automation?.prototype instanceof InlineAutomation)) {
+            throw new Error(`Automation for type ${type} must extend InlineAutomation`);
+        }
+        if (!(renderer?.prototype instanceof BaseRenderer)) {
+            throw new Error(`Renderer for type ${type} must extend BaseRenderer`);
+        }
+
+        this._types.set(type, { automation, renderer });
+        patterns.forEach(PatternClass => this.registerPattern(PatternClass));
+    }
+
+    /**
+     * Add a pattern class to detection. Its type must be registered before replacements are created.
+     * @param {Function} PatternClass - BasePattern subclass
+     */
+    static registerPattern(PatternClass) {
+        if (!(PatternClass?.prototype instanceof BasePattern)) {
+            throw new Error('Pattern must extend BasePattern');
+        }
+        if (!this._patterns.includes(PatternClass)) {
+            this._patterns.push(PatternClass);
+        }
+    }
+
+    /**
+     * Remove a pattern class from detection
+     * @param {Function} PatternClass - Pattern class to remove
+     */
+    static unregisterPattern(PatternClass) {
+        this._patterns = this._patterns.filter(registered => registered !== PatternClass);
+    }
+
+    static getPatternClasses() {
+        this.initialize();
+        return [...this._patterns];
+    }
+
+    static getTypes() {
+        this.initialize();
+        return [...this._types.keys()];
+    }
+
+    static createAutomation(type, parameters) {
+        this.initialize();
+        const entry = this._types.get(type);
+        if (!entry) throw new Error(`Unknown type: ${type}`);
+        return new entry.automation(parameters);
+    }
+
+    static createRenderer(type) {
+        this.initialize();
+        const entry = this._types.get(type);
+        if (!entry) throw new Error(`Unknown type: ${type}`);
+        return new entry.renderer();
+    }
+
+    /**
+     * Create one renderer for each registered type
+     * @returns {Object} - Renderers keyed by type
+     */
+    static createRenderers() {
+        return Object.fromEntries(this.getTypes().map(type => [type, this.createRenderer(type)]));
+    }
+
+    /**
+     * Call a 'rollconverter.' Foundry hook. Does nothing outside Foundry.
+     * @param {string} name - Hook name without the prefix
+     * @param {...*} args - Hook arguments
+     */
+    static callHook(name, ...args) {
+        if (typeof Hooks === 'undefined') return;
+        try {
+            Hooks.callAll(`rollconverter.${name}`, ...args);
+        } catch (error) {
+            console.error(`[PF2e Converter] Error in rollconverter.${name} hook:`, error);
+        }
+    }
+}
+
 // Utility for unique IDs
 function generateId() {
     return '_' + Math.random().toString(36).substr(2, 9);
@@ -5951,6 +8511,9 @@ class Replacement {
         this.displayText = '';
         this.type = type;
         
+        // Why business rules chose a default, shown under the field it applies to (keyed by field ID)
+        this.ruleNotes = {};
+        
         // Store original parameters directly
         this._originalParameters = JSON.parse(JSON.stringify(parameters));
         
@@ -5980,48 +8543,19 @@ class Replacement {
         // Store the enabled state AFTER business rules have run
         this._originalEnabledState = this.enabled;
         
-        // Store the original render AFTER business rules have run
-        this._originalRender = this.render();
+        // Store the original render AFTER business rules have run.
+        // Upgraded deprecated syntax counts as a change from the source text, so it shows as modified for review.
+        this._originalRender = this.isLegacyUpgrade() ? this.originalText : this.render();
         
         this._originalStateFinalized = true;
     }
 
     createInlineAutomation(type, parameters) {
-        switch (type) {
-            case 'damage':
-                return new InlineDamage(parameters);
-            case 'check':
-                return new InlineCheck(parameters);
-            case 'condition':
-                return new InlineCondition(parameters);
-            case 'template':
-                return new InlineTemplate(parameters);
-            case 'generic':
-                return new InlineGenericRoll(parameters);
-            case 'action':
-                return new InlineAction(parameters);
-            default:
-                throw new Error(`Unknown type: ${type}`);
-        }
+        return AutomationRegistry.createAutomation(type, parameters);
     }
 
     getRenderer(type) {
-        switch (type) {
-            case 'damage':
-                return new DamageRenderer();
-            case 'check':
-                return new CheckRenderer();
-            case 'condition':
-                return new ConditionRenderer();
-            case 'template':
-                return new TemplateRenderer();
-            case 'generic':
-                return new GenericRollRenderer();
-            case 'action':
-                return new ActionRenderer();
-            default:
-                throw new Error(`Unknown type: ${type}`);
-        }
+        return AutomationRegistry.createRenderer(type);
     }
 
     /**
@@ -6046,6 +8580,58 @@ class Replacement {
         this.displayText = this.inlineAutomation.displayText || '';
     }
 
+    /**
+     * Change the parameters this replacement was detected with. Business rules use this so their
+     * changes become part of the original state and survive a reset. Replacements the user has
+     * already modified are left alone.
+     * @param {Object} updates - Parameters to merge into the original parameters
+     * @returns {boolean} - True if the parameters were applied
+     */
+    updateParameters(updates) {
+        if (this._originalStateFinalized && this.isModified()) {
+            return false;
+        }
+
+        this._originalParameters = { ...this._originalParameters, ...JSON.parse(JSON.stringify(updates)) };
+        this.inlineAutomation = this.createInlineAutomation(this.type, this._originalParameters);
+        this.displayText = this.inlineAutomation.displayText || '';
+
+        if (this._originalStateFinalized) {
+            this._originalRender = this.isLegacyUpgrade() ? this.originalText : this.render();
+        }
+        return true;
+    }
+
+    /**
+     * Check whether this replacement upgrades deprecated inline roll syntax
+     * @returns {boolean} - True if the source text used an old syntax
+     */
+    isLegacyUpgrade() {
+        return Boolean(this._originalParameters.legacySyntax);
+    }
+
+    /**
+     * Capture the user-editable state of this replacement (used for undo/redo)
+     * @returns {Object} - Snapshot to pass to restoreState
+     */
+    captureState() {
+        return {
+            inlineAutomation: this.inlineAutomation.clone(),
+            enabled: this.enabled,
+            displayText: this.displayText
+        };
+    }
+
+    /**
+     * Restore a snapshot taken with captureState
+     * @param {Object} snapshot - Snapshot from captureState
+     */
+    restoreState(snapshot) {
+        this.inlineAutomation = snapshot.inlineAutomation.clone();
+        this.enabled = snapshot.enabled;
+        this.displayText = snapshot.displayText;
+    }
+
     // Return the original or converted text depending on the enabled state
     render() {
         if (!this.enabled) return this.originalText;
@@ -6098,6 +8684,23 @@ class Replacement {
     getText() { return this.originalText; }
     getLength() { return this.endPos - this.startPos; }
 
+    /**
+     * Plain-object summary of this replacement for the headless API
+     * @returns {Object} - Serializable description of the replacement
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            startPos: this.startPos,
+            endPos: this.endPos,
+            originalText: this.originalText,
+            enabled: this.enabled,
+            rendered: this.render(),
+            parameters: JSON.parse(JSON.stringify(this._originalParameters))
+        };
+    }
+
     /**
      * Check if the replacement has been modified from its original state
      */
@@ -6167,6 +8770,22 @@ class BusinessRule {
     getPriority() {
         return 0;
     }
+
+    /**
+     * Describe the rule's own settings for the rules panel
+     * @returns {Array} - Settings of { id, label, type, options, value }; type 'list' is a
+     *   set of checkboxes whose value is the array of checked options
+     */
+    getSettingsConfig() {
+        return [];
+    }
+
+    /**
+     * Apply saved values for the settings in getSettingsConfig. Missing values reset to the defaults.
+     * @param {Object} settings - Values keyed by setting id
+     */
+    applySettings(settings = {}) {
+    }
 }
 
 // Rule: Only enable the first occurrence of duplicate conditions
@@ -6244,82 +8863,569 @@ class NumberOnlyGenericRollRule extends BusinessRule {
     }
 }
 
-// Business Rules Engine
-// Manages and applies all business rules to replacements
-class BusinessRulesEngine {
-    constructor() {
-        this.rules = [];
-        this.enabled = true;
-        
-        // Register default rules
-        this.registerRule(new DuplicateConditionRule());
-        this.registerRule(new NumberOnlyGenericRollRule());
-        
-        // Example of conditionally registering rules
-        // this.registerRule(new LowDamageRule(1));
-    }
+// Rule: Scale base damage with the spell rank described by its Heightened entries.
+// "Heightened (+1) The damage increases by 2d6." adds per-rank dice to the matching base partial,
+// "Heightened (5th) ... increases to 8d6." sets the dice from that rank on.
+class HeightenedScalingRule extends BusinessRule {
+    static BASE_RANK_PATTERN = /\b(?:Cantrip|Spell|Focus|Ritual)\s+(\d{1,2})\b/i;
+    static INCREASE_PATTERN = /\b(?:(persistent|splash|precision)\s+)?(?:([a-z]+)\s+)?damage\b[^.]*?\bincreases?\s+(by|to)\s+(\d+(?:d\d+)?)/gi;
 
-    /**
-     * Register a new business rule
-     * @param {BusinessRule} rule - The rule to register
-     */
-    registerRule(rule) {
-        if (!(rule instanceof BusinessRule)) {
-            throw new Error('Rule must be an instance of BusinessRule');
+    apply(replacements, originalText, context = {}) {
+        const entries = this.findHeightenedEntries(originalText);
+        if (entries.length === 0) return replacements;
+
+        const baseRank = context.baseRank || this.findBaseRank(originalText.slice(0, entries[0].start));
+        const baseDamage = replacements.filter(replacement =>
+            replacement.type === 'damage' && replacement.endPos <= entries[0].start);
+        const scalingByReplacement = new Map();
+
+        for (const entry of entries) {
+            for (const increase of entry.increases) {
+                // Amounts inside the Heightened entry describe the scaling, so don't roll them on their own
+                replacements
+                    .filter(replacement => ['damage', 'generic'].includes(replacement.type) &&
+                        replacement.startPos < increase.end && replacement.endPos > increase.start)
+                    .forEach(replacement => { replacement.enabled = false; });
+
+                const target = this.findBaseComponent(baseDamage, increase);
+                if (!target) continue;
+
+                if (!scalingByReplacement.has(target.replacement)) {
+                    scalingByReplacement.set(target.replacement, new Map());
+                }
+                const scalings = scalingByReplacement.get(target.replacement);
+                if (!scalings.has(target.index)) {
+                    scalings.set(target.index, { baseRank, interval: 0, increase: '', ranks: [] });
+                }
+
+                const scaling = scalings.get(target.index);
+                if (entry.interval) {
+                    scaling.interval = entry.interval;
+                    scaling.increase = increase.dice;
+                } else {
+                    scaling.ranks.push({ rank: entry.rank, dice: increase.dice, mode: increase.mode });
+                }
+            }
         }
-        
-        this.rules.push(rule);
-        this.rules.sort((a, b) => b.getPriority() - a.getPriority());
-    }
 
-    /**
-     * Remove a rule by class
-     * @param {Function} RuleClass - The rule class to remove
-     */
-    unregisterRule(RuleClass) {
-        this.rules = this.rules.filter(rule => !(rule instanceof RuleClass));
+        scalingByReplacement.forEach((scalings, replacement) => {
+            const components = replacement.inlineAutomation.components.map((component, index) => ({
+                ...component.toJSON(),
+                ...(scalings.has(index) ? { scaling: scalings.get(index) } : {})
+            }));
+            replacement.updateParameters({ components });
+        });
+
+        return replacements;
     }
 
     /**
-     * Apply all registered rules to the replacements
-     * @param {Array} replacements - Array of replacement objects
-     * @param {string} originalText - The original input text
-     * @param {Object} context - Additional context for rule processing
-     * @returns {Array} - Modified array of replacements
-     */
-    applyRules(replacements, originalText, context = {}) {
-        if (!this.enabled) {
-            return replacements;
-        }
+     * Find the Heightened entries and the damage increases each one describes
+     * @param {string} text - Processed input text
+     * @returns {Array} - Entries as { start, end, interval, rank, increases }
+     */
+    findHeightenedEntries(text) {
+        const headerPattern = new RegExp(BackMatterRule.HEIGHTENED_PATTERN, 'gi');
+        const headers = [...text.matchAll(headerPattern)];
+
+        return headers.map((header, index) => {
+            const start = header.index;
+            const end = index + 1 < headers.length ? headers[index + 1].index : text.length;
+            const label = header[1].trim();
+            const intervalMatch = label.match(/^\+\s*(\d+)$/);
+            const rankMatch = label.match(/^(\d+)(?:st|nd|rd|th)?$/i);
+
+            const body = text.slice(start, end);
+            const increases = [...body.matchAll(HeightenedScalingRule.INCREASE_PATTERN)].map(match => {
+                const diceStart = start + match.index + match[0].length - match[4].length;
+                return {
+                    category: match[1] ? match[1].toLowerCase() : '',
+                    damageType: this.toDamageType(match[2]),
+                    mode: match[3].toLowerCase() === 'to' ? 'set' : 'add',
+                    dice: match[4].toLowerCase(),
+                    start: diceStart,
+                    end: diceStart + match[4].length
+                };
+            });
 
-        if (!Array.isArray(replacements)) {
-            console.warn('[BusinessRulesEngine] Expected array of replacements, got:', typeof replacements);
-            return replacements;
-        }
+            return {
+                start,
+                end,
+                interval: intervalMatch ? parseInt(intervalMatch[1]) : 0,
+                rank: rankMatch ? parseInt(rankMatch[1]) : 0,
+                increases: (intervalMatch || rankMatch) ? increases : []
+            };
+        });
+    }
 
-        let processedReplacements = [...replacements]; // Create a copy
-        
-        for (const rule of this.rules) {
-            try {
-                processedReplacements = rule.apply(processedReplacements, originalText, context);
-                
-                if (!Array.isArray(processedReplacements)) {
-                    console.error(`[BusinessRulesEngine] Rule ${rule.constructor.name} returned non-array result`);
-                    processedReplacements = replacements; // Fallback to original
-                    break;
-                }
-            } catch (error) {
-                console.error(`[BusinessRulesEngine] Error applying rule ${rule.constructor.name}:`, error);
-                // Continue with other rules rather than failing completely
-            }
-        }
+    findBaseRank(text) {
+        const match = text.match(HeightenedScalingRule.BASE_RANK_PATTERN);
+        return match ? parseInt(match[1]) : 1;
+    }
 
-        return processedReplacements;
+    toDamageType(word) {
+        if (!word) return '';
+        const slug = LegacyConversionManager.convertLegacyDamageType(word.toLowerCase());
+        return ConfigManager.DAMAGE_TYPES.slugs.includes(slug) ? slug : '';
     }
 
     /**
-     * Enable or disable the rules engine
-     * @param {boolean} enabled - Whether to enable the rules engine
+     * Pick the base damage partial an increase applies to: the first one with the same
+     * type and category (when the entry names them) and the same die size
+     * @param {Array} baseDamage - Damage replacements before the Heightened entries
+     * @param {Object} increase - Increase found in a Heightened entry
+     * @returns {Object|null} - { replacement, index } or null
+     */
+    findBaseComponent(baseDamage, increase) {
+        const increaseDice = DamageComponent.parseDice(increase.dice);
+        const candidates = [];
+
+        baseDamage.forEach(replacement => {
+            replacement.inlineAutomation.components.forEach((component, index) => {
+                if (increase.damageType && component.damageType !== increase.damageType) return;
+                if (increase.category && component.category !== increase.category) return;
+                candidates.push({ replacement, index, component });
+            });
+        });
+
+        const sameDie = candidates.find(({ component }) => {
+            const dice = DamageComponent.parseDice(component.dice);
+            return dice && increaseDice && dice.faces === increaseDice.faces;
+        });
+
+        return sameDie || candidates[0] || null;
+    }
+
+    getDescription() {
+        return 'Scales base damage with the spell rank from its Heightened entries';
+    }
+
+    getPriority() {
+        return 75;
+    }
+}
+
+// Finds affliction blocks ("Spider Venom (poison) Level 3. Saving Throw DC 18 Fortitude; Onset ...;
+// Stage 1 ...") and the positions of their save and stages, for rules that automate them
+class AfflictionParser {
+    static AFFLICTION_TRAITS = ['curse', 'disease', 'poison'];
+    // Labels may be bolded already when the input is HTML
+    static NAME_REGEX = /(?<=^|[.>\n]\s*)(?:<(?:strong|b)>)?([A-Z][^(.<>\n]*?)(?:<\/(?:strong|b)>)?\s+\(([^)]*)\)/g;
+    static LABEL_END = String.raw`(?:<\/(?:strong|b)>)?\s+`;
+
+    /**
+     * Parse the afflictions in a text
+     * @param {string} text - Plain text or HTML
+     * @returns {Array} - Afflictions as { name, traits, level, start, end, save, onset, maximumDuration, stages }.
+     *   save, onset, maximumDuration and each stage's duration are { text, start, end } spans (or null);
+     *   stages are { number, start, end, duration }.
+     */
+    static parse(text) {
+        const headers = [...(text || '').matchAll(this.NAME_REGEX)]
+            .map(match => ({ match, traits: StrikePattern.parseTraits(match[2]) }))
+            .filter(({ traits }) => traits.some(trait => this.AFFLICTION_TRAITS.includes(trait)));
+
+        return headers.map(({ match, traits }, index) => {
+            const start = match.index;
+            const blockEnd = index + 1 < headers.length ? headers[index + 1].match.index : text.length;
+            const block = text.slice(start, blockEnd);
+            const level = block.match(/\bLevel\s+(\d+)/);
+
+            const stages = this.findStages(block, start);
+            const end = stages.length > 0 ? stages[stages.length - 1].end : start + match[0].length;
+
+            return {
+                name: match[1].trim(),
+                traits,
+                level: level ? parseInt(level[1]) : null,
+                start,
+                end,
+                save: this.findEntry(block, new RegExp(String.raw`\bSaving\s+Throw${this.LABEL_END}`), start),
+                onset: this.findEntry(block, new RegExp(String.raw`\bOnset${this.LABEL_END}`), start),
+                maximumDuration: this.findEntry(block, new RegExp(String.raw`\bMaximum\s+Duration${this.LABEL_END}`), start),
+                stages
+            };
+        });
+    }
+
+    /**
+     * Find a "Label value;" entry and the span of its value
+     * @param {string} block - Affliction text
+     * @param {RegExp} labelRegex - Regex matching the label and following space
+     * @param {number} offset - Position of the block in the full text
+     * @returns {Object|null} - { text, start, end }
+     */
+    static findEntry(block, labelRegex, offset) {
+        const label = block.match(labelRegex);
+        if (!label) return null;
+
+        const valueStart = label.index + label[0].length;
+        const value = block.slice(valueStart).match(/^[^;<\n]*?(?=\s*(?:;|\.(?:\s|$)|<|\n|$))/)[0];
+        return { text: value, start: offset + valueStart, end: offset + valueStart + value.length };
+    }
+
+    static findStages(block, offset) {
+        const headers = [...block.matchAll(new RegExp(String.raw`\bStage\s+(\d+)${this.LABEL_END}`, 'g'))];
+
+        return headers.map((header, index) => {
+            const contentStart = header.index + header[0].length;
+            let contentEnd;
+            if (index + 1 < headers.length) {
+                contentEnd = headers[index + 1].index;
+            } else {
+                // The last stage runs to the end of its sentence
+                const sentenceEnd = block.slice(contentStart).search(/\.(?:\s|$)|<\/p>|\n/);
+                contentEnd = sentenceEnd === -1 ? block.length : contentStart + sentenceEnd;
+            }
+
+            const content = block.slice(contentStart, contentEnd).replace(/(?:[\s;]|<(?:strong|b)>)+$/, '');
+            const duration = content.match(/\(([^()]*)\)$/);
+            const durationStart = duration ? contentStart + duration.index + 1 : null;
+
+            return {
+                number: parseInt(header[1]),
+                start: offset + header.index,
+                end: offset + contentStart + content.length,
+                duration: duration ? {
+                    text: duration[1],
+                    start: offset + durationStart,
+                    end: offset + durationStart + duration[1].length
+                } : null
+            };
+        });
+    }
+}
+
+// Rule: Automate afflictions. The save check gets the affliction's traits, each stage's
+// conditions are linked again even if an earlier stage already did, and durations that
+// are dice ("1d4 rounds") stay as rolls.
+class AfflictionRule extends BusinessRule {
+    apply(replacements, originalText, context = {}) {
+        const afflictions = AfflictionParser.parse(originalText);
+        const within = (replacement, span) =>
+            span && replacement.startPos >= span.start && replacement.endPos <= span.end;
+
+        for (const affliction of afflictions) {
+            const save = affliction.save;
+            replacements
+                .filter(replacement => replacement.type === 'check' && save &&
+                    replacement.startPos >= save.start && replacement.startPos < save.end)
+                .forEach(replacement => {
+                    // Save detection also takes the "; " that ends the entry, which belongs to the text.
+                    // Trimmed from the match rather than cut at save.end, which stops short of
+                    // inline markup in HTML ("DC 17 <em>Fortitude</em>;").
+                    if (replacement.endPos > save.end) {
+                        const trimmed = replacement.originalText.replace(/[\s;]+$/, '');
+                        replacement.endPos -= replacement.originalText.length - trimmed.length;
+                        replacement.originalText = trimmed;
+                    }
+                    const afflictionTraits = affliction.traits.filter(trait => AfflictionParser.AFFLICTION_TRAITS.includes(trait));
+                    const traits = [...new Set([...replacement.inlineAutomation.traits, ...afflictionTraits])];
+                    replacement.updateParameters({ traits });
+                });
+
+            const durations = [affliction.onset, affliction.maximumDuration, ...affliction.stages.map(stage => stage.duration)];
+            replacements
+                .filter(replacement => replacement.type === 'generic' && durations.some(span => within(replacement, span)))
+                .forEach(replacement => {
+                    replacement.enabled = /d/i.test(replacement.inlineAutomation.dice || '');
+                });
+
+            for (const stage of affliction.stages) {
+                const seenConditions = new Set();
+                replacements
+                    .filter(replacement => replacement.type === 'condition' && within(replacement, stage))
+                    .forEach(replacement => {
+                        const key = `${replacement.inlineAutomation.condition}:${replacement.inlineAutomation.value || null}`;
+                        replacement.enabled = !seenConditions.has(key);
+                        seenConditions.add(key);
+                    });
+            }
+        }
+
+        return replacements;
+    }
+
+    getDescription() {
+        return 'Adds affliction traits to its save, links conditions in every stage and rolls dice durations';
+    }
+
+    getPriority() {
+        return 90;
+    }
+}
+
+// Rule: Make checks secret when PF2e rolls them secretly: checks the text ties to a secret action
+// ("Perception check to Seek", "Recall Knowledge: DC 20 Arcana check"), checks the text says are
+// rolled secretly, and hazard Stealth DCs. Adds the secret trait and shows the DC to the GM only.
+// Saves are never secret.
+class SecretCheckRule extends BusinessRule {
+    static SECRET_ACTIONS = [
+        'Recall Knowledge', 'Sense Motive', 'Seek', 'Identify Magic', 'Identify Alchemy',
+        'Decipher Writing', 'Sense Direction', 'Create a Forgery', 'Impersonate',
+        'Conceal an Object', 'Hide', 'Sneak'
+    ];
+
+    // "rolls a Perception check secretly", "secretly rolls", "rolled in secret"
+    static SECRET_WORDING = /\b(?:roll|rolls|rolled|rolling)\b[^,;:]*\b(?:secretly|in\s+secret)\b|\bsecretly\s+(?:roll|rolls|rolled|rolling|attempts?)\b/i;
+    static HAZARD_HEADER = /\bHazard\s+-?\d{1,2}\b/;
+
+    apply(replacements, originalText, context = {}) {
+        // Action names are capitalized in rules text, which tells "Seek" apart from "seek shelter"
+        const actions = SecretCheckRule.SECRET_ACTIONS.join('|');
+        const actionAfter = new RegExp(`^\\s*(?:check\\s+)?(?:to|for)\\s+(?:(?:attempt|use)\\s+(?:a|an|to)\\s+)?(${actions})\\b`);
+        const actionBefore = new RegExp(`\\b(${actions})(?:\\s+check)?\\s*[:,(]?\\s*(?:(?:attempting|making|rolling|using)\\s+)?(?:(?:a|an|the)\\s+)?$`);
+        const isHazard = SecretCheckRule.HAZARD_HEADER.test(originalText);
+
+        replacements
+            .filter(replacement => replacement.type === 'check' && !replacement.inlineAutomation.isSave() &&
+                !replacement.inlineAutomation.hasTrait('secret'))
+            .forEach(replacement => {
+                const { start, end } = this.getSentenceBounds(originalText, replacement.startPos, replacement.endPos);
+                const sentence = originalText.slice(start, end);
+                const before = originalText.slice(start, replacement.startPos);
+                const after = originalText.slice(replacement.endPos, end);
+                const action = after.match(actionAfter) || before.match(actionBefore);
+
+                let reason = null;
+                if (action) {
+                    reason = `${action[1]} is a secret action.`;
+                } else if (/\bsecret\s+$/i.test(before) || /\bsecret\b/i.test(replacement.originalText) ||
+                    SecretCheckRule.SECRET_WORDING.test(sentence)) {
+                    reason = 'The text says this check is rolled secretly.';
+                } else if (isHazard && /^Stealth\b/i.test(replacement.originalText.replace(/^DC\s*\d+\s*/i, ''))) {
+                    reason = 'Checks to detect a hazard are secret.';
+                }
+                if (!reason) return;
+
+                const applied = replacement.updateParameters({
+                    traits: [...replacement.inlineAutomation.traits, 'secret'],
+                    showDC: 'gm'
+                });
+                if (applied) {
+                    replacement.ruleNotes['trait-secret'] = `Secret by default: ${reason}`;
+                    replacement.ruleNotes['show-dc'] = 'Secret checks show the DC to the GM only by default.';
+                }
+            });
+
+        return replacements;
+    }
+
+    /**
+     * Find the sentence (or line, or paragraph) around a span of text
+     * @param {string} text - Full text
+     * @param {number} start - Start of the span
+     * @param {number} end - End of the span
+     * @returns {Object} - { start, end } of the surrounding sentence
+     */
+    getSentenceBounds(text, start, end) {
+        const boundary = /[.!?](?=\s)|\n|<\/?(?:p|li|hr)\b[^>]*>/g;
+        let sentenceStart = 0;
+        let sentenceEnd = text.length;
+        for (const match of text.matchAll(boundary)) {
+            if (match.index + match[0].length <= start) {
+                sentenceStart = match.index + match[0].length;
+            } else if (match.index >= end) {
+                sentenceEnd = match.index;
+                break;
+            }
+        }
+        return { start: sentenceStart, end: sentenceEnd };
+    }
+
+    getDescription() {
+        return 'Adds the secret trait and GM-only DCs to checks PF2e rolls secretly';
+    }
+
+    getPriority() {
+        return 60;
+    }
+}
+
+// Rule: Give the damage of an NPC Strike the Strike's damage-relevant traits, so weaknesses and
+// resistances to e.g. "magical" or "silver" apply. Attack traits like agile or reach stay on the Strike.
+class StrikeDamageTraitsRule extends BusinessRule {
+    static DAMAGE_TRAITS = [
+        // Magic and holy/unholy (plus the pre-remaster alignments)
+        'magical', 'holy', 'unholy', 'good', 'evil', 'lawful', 'chaotic',
+        // Precious materials
+        'abysium', 'adamantine', 'cold-iron', 'darkwood', 'dawnsilver', 'djezet', 'duskwood', 'inubrix',
+        'keep-stone', 'mithral', 'noqual', 'orichalcum', 'peachwood', 'siccatite', 'silver', 'sisterstone',
+        'sovereign-steel', 'warpglass',
+        // Energy and other damage traits (plus the pre-remaster positive/negative)
+        'acid', 'cold', 'electricity', 'fire', 'force', 'sonic', 'vitality', 'void', 'positive', 'negative',
+        'mental', 'poison', 'spirit', 'nonlethal'
+    ];
+
+    apply(replacements, originalText, context = {}) {
+        const sorted = [...replacements].sort((a, b) => a.startPos - b.startPos);
+
+        sorted.forEach((replacement, index) => {
+            if (replacement.type !== 'strike') return;
+
+            // The Strike's damage is the first damage roll after it, introduced by "Damage" on the same line
+            const damage = sorted.slice(index + 1).find(candidate => candidate.type === 'damage');
+            if (!damage) return;
+            const between = originalText.slice(replacement.endPos, damage.startPos).replace(/<[^>]*>/g, '');
+            if (!/^[^\n]*\bDamage\s*$/i.test(between)) return;
+
+            const traits = replacement.inlineAutomation.traits
+                .filter(trait => StrikeDamageTraitsRule.DAMAGE_TRAITS.includes(trait));
+            if (traits.length === 0) return;
+
+            const merged = [...new Set([...damage.inlineAutomation.traits, ...traits])];
+            damage.updateParameters({ traits: merged });
+        });
+
+        return replacements;
+    }
+
+    getDescription() {
+        return 'Applies NPC Strike traits to the Strike\'s damage';
+    }
+
+    getPriority() {
+        return 70;
+    }
+}
+
+// Rule: Make checks for a spell's defense save match the spell item. The save's DC comes from
+// the spell, so the inline check drops any DC and takes the basic flag from the defense.
+class SpellDefenseRule extends BusinessRule {
+    apply(replacements, originalText, context = {}) {
+        const defense = context.spellDefense;
+        if (!defense?.save) return replacements;
+
+        replacements
+            .filter(replacement => replacement.type === 'check' &&
+                replacement.inlineAutomation.checkTypes.includes(defense.save.statistic))
+            .forEach(replacement => {
+                replacement.updateParameters({ dcMethod: 'none', dc: 0, basic: defense.save.basic });
+            });
+
+        return replacements;
+    }
+
+    getDescription() {
+        return "Matches checks for a spell's defense save to the spell item";
+    }
+
+    getPriority() {
+        return 65;
+    }
+}
+
+// Business Rules Engine
+// Manages and applies all business rules to replacements
+class BusinessRulesEngine {
+    constructor() {
+        this.rules = [];
+        this.enabled = true;
+        this.disabledRules = new Set(); // Class names of rules turned off in the rules panel
+        
+        // Register default rules
+        this.registerRule(new DuplicateConditionRule());
+        this.registerRule(new NumberOnlyGenericRollRule());
+        this.registerRule(new HeightenedScalingRule());
+        this.registerRule(new StrikeDamageTraitsRule());
+        this.registerRule(new SpellDefenseRule());
+        this.registerRule(new AfflictionRule());
+        this.registerRule(new SecretCheckRule());
+        
+        // Example of conditionally registering rules
+        // this.registerRule(new LowDamageRule(1));
+    }
+
+    /**
+     * Register a new business rule
+     * @param {BusinessRule} rule - The rule to register
+     */
+    registerRule(rule) {
+        if (!(rule instanceof BusinessRule)) {
+            throw new Error('Rule must be an instance of BusinessRule');
+        }
+        
+        this.rules.push(rule);
+        this.rules.sort((a, b) => b.getPriority() - a.getPriority());
+    }
+
+    /**
+     * Remove a rule by class
+     * @param {Function} RuleClass - The rule class to remove
+     */
+    unregisterRule(RuleClass) {
+        this.rules = this.rules.filter(rule => !(rule instanceof RuleClass));
+    }
+
+    /**
+     * Turn a rule on or off
+     * @param {string} name - Rule class name
+     * @param {boolean} enabled - Whether the rule runs
+     */
+    setRuleEnabled(name, enabled) {
+        if (enabled) {
+            this.disabledRules.delete(name);
+        } else {
+            this.disabledRules.add(name);
+        }
+    }
+
+    isRuleEnabled(name) {
+        return !this.disabledRules.has(name);
+    }
+
+    /**
+     * Apply per-rule choices. Rules without an entry are enabled with their default settings.
+     * @param {Object} ruleSettings - { [rule class name]: { enabled, settings } }
+     */
+    configureRules(ruleSettings = {}) {
+        for (const rule of this.rules) {
+            const choice = ruleSettings[rule.constructor.name] || {};
+            this.setRuleEnabled(rule.constructor.name, choice.enabled !== false);
+            rule.applySettings(choice.settings || {});
+        }
+    }
+
+    /**
+     * Apply all registered rules to the replacements
+     * @param {Array} replacements - Array of replacement objects
+     * @param {string} originalText - The original input text
+     * @param {Object} context - Additional context for rule processing
+     * @returns {Array} - Modified array of replacements
+     */
+    applyRules(replacements, originalText, context = {}) {
+        if (!this.enabled) {
+            return replacements;
+        }
+
+        if (!Array.isArray(replacements)) {
+            console.warn('[BusinessRulesEngine] Expected array of replacements, got:', typeof replacements);
+            return replacements;
+        }
+
+        let processedReplacements = [...replacements]; // Create a copy
+        
+        for (const rule of this.rules.filter(rule => this.isRuleEnabled(rule.constructor.name))) {
+            try {
+                processedReplacements = rule.apply(processedReplacements, originalText, context);
+                
+                if (!Array.isArray(processedReplacements)) {
+                    console.error(`[BusinessRulesEngine] Rule ${rule.constructor.name} returned non-array result`);
+                    processedReplacements = replacements; // Fallback to original
+                    break;
+                }
+            } catch (error) {
+                console.error(`[BusinessRulesEngine] Error applying rule ${rule.constructor.name}:`, error);
+                // Continue with other rules rather than failing completely
+            }
+        }
+
+        return processedReplacements;
+    }
+
+    /**
+     * Enable or disable the rules engine
+     * @param {boolean} enabled - Whether to enable the rules engine
      */
     setEnabled(enabled) {
         this.enabled = Boolean(enabled);
@@ -6333,7 +9439,9 @@ class BusinessRulesEngine {
         return this.rules.map(rule => ({
             name: rule.constructor.name,
             description: rule.getDescription(),
-            priority: rule.getPriority()
+            priority: rule.getPriority(),
+            enabled: this.isRuleEnabled(rule.constructor.name),
+            settings: rule.getSettingsConfig()
         }));
     }
 
@@ -6366,6 +9474,26 @@ class FormattingRule {
         return this.category;
     }
 
+    getDescription() {
+        return 'Base formatting rule';
+    }
+
+    /**
+     * Describe the rule's own settings for the rules panel
+     * @returns {Array} - Settings of { id, label, type, options, value }; type 'list' is a
+     *   set of checkboxes whose value is the array of checked options
+     */
+    getSettingsConfig() {
+        return [];
+    }
+
+    /**
+     * Apply saved values for the settings in getSettingsConfig. Missing values reset to the defaults.
+     * @param {Object} settings - Values keyed by setting id
+     */
+    applySettings(settings = {}) {
+    }
+
     static get CATEGORIES() {
         return {
             TEXT: 'text',
@@ -6434,12 +9562,16 @@ class FormattingRule {
 }
 
 class DegreesOfSuccessRule extends FormattingRule {
-    constructor() {
-        super();
+    constructor(priority) {
+        super(priority);
         this.criticalSuccessRegex = /(\s*)(Critical\s+Success)\b/g;
         this.degreesOfSuccessRegex = /(\s*)(Critical\s+Failure|(?<!Critical\s+)Success|(?<!Critical\s+)Failure)\b/g;
     }
     
+    getDescription() {
+        return 'Starts a bold paragraph for each degree of success, with a rule before Critical Success';
+    }
+
     apply(text) {
         // Format critical success (avoiding already formatted text)
         text = this.replaceUnformatted(
@@ -6470,38 +9602,63 @@ class DegreesOfSuccessRule extends FormattingRule {
 }
 
 class BoldKeywordsRule extends FormattingRule {
-    constructor() {
-        super();
-        this.standardKeywords = [
-            //'Area',
-            //'Cast',
-            //'Cost',
-            //'Defense',
-            //'Duration',
-            'Frequency',
-            //'Prerequisites',
-            //'Range',
-            'Requirements',
-            //'Targets',
-            //'Traditions',
-            'Trigger'
-        ];
+    // Keywords that can start their own bold paragraph; the rules panel picks which ones do
+    static STANDARD_KEYWORDS = [
+        'Area', 'Cast', 'Cost', 'Defense', 'Duration', 'Frequency', 'Prerequisites',
+        'Range', 'Requirements', 'Targets', 'Traditions', 'Trigger'
+    ];
+    static DEFAULT_KEYWORDS = ['Frequency', 'Requirements', 'Trigger'];
+
+    constructor(priority) {
+        super(priority);
         this.hrKeywords = [
             'Effect'
         ]
-        // Single pattern that optionally matches semicolon and whitespace before the keyword
-        this.pattern = new RegExp(`(?:;\\s*)?(${this.standardKeywords.join('|')})`, 'g');
         this.hrPattern = new RegExp(`(?:;\\s*)?(${this.hrKeywords.join('|')})`, 'g');
+        this.setKeywords(BoldKeywordsRule.DEFAULT_KEYWORDS);
+    }
+
+    /**
+     * Choose the standard keywords to bold
+     * @param {Array} keywords - Keywords from STANDARD_KEYWORDS
+     */
+    setKeywords(keywords) {
+        this.standardKeywords = BoldKeywordsRule.STANDARD_KEYWORDS.filter(keyword => keywords.includes(keyword));
+        // Single pattern that optionally matches semicolon and whitespace before the keyword.
+        // The word boundary keeps e.g. Range from matching Ranged.
+        this.pattern = this.standardKeywords.length > 0
+            ? new RegExp(`(?:;\\s*)?(${this.standardKeywords.join('|')})\\b`, 'g')
+            : null;
+    }
+
+    getDescription() {
+        return 'Starts a bold paragraph for keywords such as Trigger and Requirements, and sets off Effect with a rule';
+    }
+
+    getSettingsConfig() {
+        return [{
+            id: 'keywords',
+            label: 'Keywords',
+            type: 'list',
+            options: BoldKeywordsRule.STANDARD_KEYWORDS,
+            value: this.standardKeywords
+        }];
+    }
+
+    applySettings(settings = {}) {
+        this.setKeywords(Array.isArray(settings.keywords) ? settings.keywords : BoldKeywordsRule.DEFAULT_KEYWORDS);
     }
 
     apply(text) {
         // Apply formatting for standard keywords
-        text = this.replaceUnformatted(
-            text, 
-            this.pattern, 
-            (match) => `</p>\n<p><strong>${match[1]}</strong>`,
-            'strong'
-        );
+        if (this.pattern) {
+            text = this.replaceUnformatted(
+                text, 
+                this.pattern, 
+                (match) => `</p>\n<p><strong>${match[1]}</strong>`,
+                'strong'
+            );
+        }
 
         // Apply formatting for HR keywords
         text = this.replaceUnformatted(
@@ -6524,8 +9681,8 @@ class BoldKeywordsRule extends FormattingRule {
 }
 
 class ActionSymbolsRule extends FormattingRule {
-    constructor() {
-        super();
+    constructor(priority) {
+        super(priority);
         // Regex pattern that matches '[one-action]'
         this.oneActionPattern = /\[one-action\]/g;
         // Regex pattern that matches '[two-actions]'
@@ -6538,6 +9695,10 @@ class ActionSymbolsRule extends FormattingRule {
         this.freeActionPattern = /\[free-action\]/g;
     }
 
+    getDescription() {
+        return 'Replaces [one-action] and the other action tags with action glyphs';
+    }
+
     apply(text) {
         // Replace '[one-action]' with '<span class="action-glyph">1</span>'
         text = text.replace(this.oneActionPattern, '<span class="action-glyph">1</span>');
@@ -6555,12 +9716,16 @@ class ActionSymbolsRule extends FormattingRule {
 }
 
 class ActivationRule extends FormattingRule {
-    constructor() {
-        super();
+    constructor(priority) {
+        super(priority);
         // Updated regex to match "Activate" followed by em dash, ability name, and action cost
         this.activatePattern = /Activate—([^[]+)\[/g;
     }
 
+    getDescription() {
+        return 'Bolds "Activate—Name" and sets it off with a rule';
+    }
+
     apply(text) {
         // Replace the matched pattern with properly formatted HTML
         text = this.replaceUnformatted(
@@ -6583,17 +9748,23 @@ class ActivationRule extends FormattingRule {
 }
 
 class BackMatterRule extends FormattingRule {
-    constructor() {
-        super();
+    // Match "Heightened" followed by level in parentheses
+    // Supports formats like: (1st), (4th), (+1), (2nd), (3rd), etc.
+    static HEIGHTENED_PATTERN = 'Heightened\\s*\\(([^)]+)\\)';
+
+    constructor(priority) {
+        super(priority);
         this.keywords = [
             'Special'
         ];
-        // Match "Heightened" followed by level in parentheses
-        // Supports formats like: (1st), (4th), (+1), (2nd), (3rd), etc.
-        this.heightenedRegex = new RegExp(`(\\s*Heightened\\s*\\([^)]+\\))`, 'g');
+        this.heightenedRegex = new RegExp(`(\\s*${BackMatterRule.HEIGHTENED_PATTERN})`, 'g');
         this.keywordsRegex = new RegExp(`(\\s*${this.keywords.join('|')})`, 'g');
     }
     
+    getDescription() {
+        return 'Bolds Heightened entries and Special, with a rule before the first';
+    }
+
     apply(text) {
         // Track first occurrence of Heightened
         let isFirstHeightened = true;
@@ -6629,8 +9800,8 @@ class BackMatterRule extends FormattingRule {
 }
 
 class AfflictionNameRule extends FormattingRule {
-    constructor() {
-        super();
+    constructor(priority) {
+        super(priority);
         // Pattern to match affliction names:
         // - Either: period followed by whitespace OR start of string
         // - Affliction name that doesn't contain periods (captured)
@@ -6640,6 +9811,10 @@ class AfflictionNameRule extends FormattingRule {
         this.afflictionRegex = /(^|\.\s+)([^(.]+?)\s+\([^)]*(?:curse|disease|poison)[^)]*\)/gi;
     }
     
+    getDescription() {
+        return 'Bolds the name of a curse, disease or poison and sets it off with a rule';
+    }
+
     apply(text) {
         text = this.replaceUnformatted(
             text,
@@ -6662,16 +9837,21 @@ class AfflictionNameRule extends FormattingRule {
 }
 
 class AfflictionPropertiesRule extends FormattingRule {
-    constructor() {
-        super();
+    constructor(priority) {
+        super(priority);
         this.keywords = [
             'Saving Throw',
+            'Onset',
             'Maximum Duration',
             'Level'
         ];
         this.pattern = new RegExp(`(${this.keywords.join('|')})`, 'g');
     }
 
+    getDescription() {
+        return 'Bolds Saving Throw, Onset, Maximum Duration and Level in afflictions';
+    }
+
     apply(text) {
         text = this.replaceUnformatted(
             text,
@@ -6685,11 +9865,15 @@ class AfflictionPropertiesRule extends FormattingRule {
 }
 
 class AfflictionStagesRule extends FormattingRule {
-    constructor() {
-        super();
+    constructor(priority) {
+        super(priority);
         this.pattern = new RegExp(`(;?\\s*)(Stage\\s+\\d+)\\b`, 'g');
     }
 
+    getDescription() {
+        return 'Starts a bold paragraph for each affliction stage';
+    }
+
     apply(text) {
         text = this.replaceUnformatted(
             text,
@@ -6708,6 +9892,10 @@ class AfflictionStagesRule extends FormattingRule {
 }
 
 class StartAndEndParagraphTagsRule extends FormattingRule {
+    getDescription() {
+        return 'Wraps the text in paragraph tags';
+    }
+
     apply(text) {
         // Add <p> tags at the start and end of the text only if there are no <p> tags there already
         if (!text.startsWith('<p>')) {
@@ -6724,6 +9912,7 @@ class FormattingRulesEngine {
     constructor() {
         this.rules = [];
         this.enabled = true;
+        this.disabledRules = new Set(); // Class names of rules turned off in the rules panel
         this.enabledCategories = new Set([
             FormattingRule.CATEGORIES.TEXT,
             FormattingRule.CATEGORIES.HTML
@@ -6769,6 +9958,35 @@ class FormattingRulesEngine {
         this.rules = this.rules.filter(rule => !(rule instanceof RuleClass));
     }
 
+    /**
+     * Turn a rule on or off
+     * @param {string} name - Rule class name
+     * @param {boolean} enabled - Whether the rule runs
+     */
+    setRuleEnabled(name, enabled) {
+        if (enabled) {
+            this.disabledRules.delete(name);
+        } else {
+            this.disabledRules.add(name);
+        }
+    }
+
+    isRuleEnabled(name) {
+        return !this.disabledRules.has(name);
+    }
+
+    /**
+     * Apply per-rule choices. Rules without an entry are enabled with their default settings.
+     * @param {Object} ruleSettings - { [rule class name]: { enabled, settings } }
+     */
+    configureRules(ruleSettings = {}) {
+        for (const rule of this.rules) {
+            const choice = ruleSettings[rule.constructor.name] || {};
+            this.setRuleEnabled(rule.constructor.name, choice.enabled !== false);
+            rule.applySettings(choice.settings || {});
+        }
+    }
+
     /**
      * Enable or disable specific categories of formatting rules
      * @param {string|Array} categories - Category or array of categories to enable
@@ -6810,7 +10028,7 @@ class FormattingRulesEngine {
         // Filter rules by enabled categories
         const applicableRules = this.rules.filter(rule => {
             const ruleCategory = rule.getCategory ? rule.getCategory() : FormattingRule.CATEGORIES.TEXT;
-            return this.isCategoryEnabled(ruleCategory);
+            return this.isCategoryEnabled(ruleCategory) && this.isRuleEnabled(rule.constructor.name);
         });
         
         // Apply the filtered rules
@@ -6833,11 +10051,224 @@ class FormattingRulesEngine {
     setEnabled(enabled) {
         this.enabled = Boolean(enabled);
     }
+
+    /**
+     * Get information about all registered rules
+     * @returns {Array} Array of rule information objects
+     */
+    getRulesInfo() {
+        return this.rules.map(rule => ({
+            name: rule.constructor.name,
+            description: rule.getDescription(),
+            priority: rule.getPriority(),
+            category: rule.getCategory(),
+            enabled: this.isRuleEnabled(rule.constructor.name),
+            settings: rule.getSettingsConfig()
+        }));
+    }
+}
+
+// ==================== HTML INPUT ====================
+// Splits HTML into text nodes so patterns never see tags, attributes or comments
+
+// Locates the text nodes of an HTML string without needing a DOM parser
+class HtmlTextSegmenter {
+    // Tags whose content isn't rules text
+    static SKIPPED_ELEMENTS = ['script', 'style'];
+
+    /**
+     * Guess whether the input is HTML markup rather than plain text
+     * @param {string} text - Input text
+     * @returns {boolean} - True if the text contains common description markup
+     */
+    static looksLikeHtml(text) {
+        if (!text || typeof text !== 'string') return false;
+        return /<\/?(?:p|br|hr|strong|b|em|i|u|span|div|ul|ol|li|h[1-6]|table|tr|td|th|section|blockquote)\b[^>]*>/i.test(text);
+    }
+
+    /**
+     * Find the text between tags
+     * @param {string} html - HTML string
+     * @returns {Array} - Segments as { start, text } in source order
+     */
+    static getTextSegments(html) {
+        const segments = [];
+        const tagPattern = /<!--[\s\S]*?-->|<\/?([a-zA-Z][\w-]*)\b(?:[^>"']|"[^"]*"|'[^']*')*>/g;
+        let skippedElement = null;
+        let lastIndex = 0;
+        let match;
+        
+        while ((match = tagPattern.exec(html)) !== null) {
+            if (match.index > lastIndex && !skippedElement) {
+                segments.push({ start: lastIndex, text: html.substring(lastIndex, match.index) });
+            }
+            
+            const tagName = match[1]?.toLowerCase();
+            if (tagName && this.SKIPPED_ELEMENTS.includes(tagName)) {
+                skippedElement = match[0].startsWith('</') ? null : tagName;
+            }
+            
+            lastIndex = match.index + match[0].length;
+        }
+        
+        if (lastIndex < html.length && !skippedElement) {
+            segments.push({ start: lastIndex, text: html.substring(lastIndex) });
+        }
+        
+        // Whitespace between tags can't contain anything to convert
+        return segments.filter(segment => segment.text.trim());
+    }
+
+    /**
+     * Check whether markup between two text segments separates them into different blocks
+     * @param {string} markup - HTML between the segments
+     * @returns {boolean} - True if the markup opens or closes a block element or is a line break
+     */
+    static isBlockBoundary(markup) {
+        return /<\/?(?:p|br|hr|div|ul|ol|li|h[1-6]|table|tr|td|th|section|blockquote)\b/i.test(markup);
+    }
+
+    // Named entities decoded before detection. &nbsp; becomes a plain space so patterns see one.
+    static ENTITIES = {
+        nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+        ndash: '\u2013', mdash: '\u2014', lsquo: '\u2018', rsquo: '\u2019',
+        ldquo: '\u201C', rdquo: '\u201D', hellip: '\u2026', times: '\u00D7', minus: '\u2212'
+    };
+
+    // Elements with no closing tag, ignored when checking that a match doesn't cut an element in half
+    static VOID_ELEMENTS = ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr'];
+
+    /**
+     * Join the text of each block into one run, with entities decoded and inline markup
+     * (e.g. "2d6 <strong>fire</strong> damage") left out
+     * @param {string} html - HTML string
+     * @returns {Array} - Runs as { text, starts, ends }, where starts[i] and ends[i] are the
+     *   source span of text[i]
+     */
+    static getTextRuns(html) {
+        const runs = [];
+        let run = null;
+        let previousEnd = 0;
+        for (const segment of this.getTextSegments(html)) {
+            const markup = html.slice(previousEnd, segment.start);
+            if (!run || this.isBlockBoundary(markup)) {
+                run = { text: '', starts: [], ends: [] };
+                runs.push(run);
+            } else if (/\s/.test(markup.replace(/<[^>]*>/g, ''))) {
+                // Whitespace-only text between inline tags still separates words
+                run.text += ' ';
+                run.starts.push(segment.start);
+                run.ends.push(segment.start);
+            }
+            this.appendDecoded(run, segment.text, segment.start);
+            previousEnd = segment.start + segment.text.length;
+        }
+        return runs;
+    }
+
+    /**
+     * Append a text segment to a run, decoding character references
+     * @param {Object} run - Run from getTextRuns
+     * @param {string} text - Segment text
+     * @param {number} offset - Position of the segment in the source
+     */
+    static appendDecoded(run, text, offset) {
+        const entityPattern = /&(?:#(\d+)|#x([\da-f]+)|([a-z][a-z\d]*));/gi;
+        let lastIndex = 0;
+        let match;
+        const append = (char, start, end) => {
+            run.text += char;
+            run.starts.push(offset + start);
+            run.ends.push(offset + end);
+        };
+        
+        while ((match = entityPattern.exec(text)) !== null) {
+            const code = match[1] ? parseInt(match[1], 10) : match[2] ? parseInt(match[2], 16) : null;
+            const decoded = code !== null ?
+                (code === 0xA0 ? ' ' : (code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : null)) :
+                this.ENTITIES[match[3].toLowerCase()];
+            if (decoded === undefined || decoded === null) continue;
+            
+            for (let i = lastIndex; i < match.index; i++) append(text[i], i, i + 1);
+            // A decoded astral character is two code units; both map to the whole reference
+            for (const char of decoded.split('')) append(char, match.index, match.index + match[0].length);
+            lastIndex = match.index + match[0].length;
+        }
+        for (let i = lastIndex; i < text.length; i++) append(text[i], i, i + 1);
+    }
+
+    /**
+     * Map a span of a run back to the source, widening it over adjacent tags so it doesn't
+     * leave an element half replaced
+     * @param {string} html - HTML string
+     * @param {Object} run - Run from getTextRuns
+     * @param {number} index - Start of the span in run.text
+     * @param {number} length - Length of the span in run.text
+     * @returns {Object|null} - { start, end } in the source, or null if the span can't be
+     *   replaced without breaking the markup (e.g. "<em>Deal 2d6 fire</em> damage")
+     */
+    static toSourceSpan(html, run, index, length) {
+        if (length <= 0) return null;
+        let start = run.starts[index];
+        let end = run.ends[index + length - 1];
+        
+        for (;;) {
+            const { unopened, unclosed } = this.findUnbalancedTags(html.slice(start, end));
+            if (unopened.length === 0 && unclosed.length === 0) {
+                return { start, end };
+            }
+            
+            // The innermost element is the one closed first or opened last
+            const opening = unopened.length > 0 &&
+                html.slice(0, start).match(new RegExp(`<${unopened[0]}\\b(?:[^>"']|"[^"]*"|'[^']*')*>$`, 'i'));
+            const closing = !opening && unclosed.length > 0 &&
+                html.slice(end).match(new RegExp(`^</${unclosed[unclosed.length - 1]}\\s*>`, 'i'));
+            if (opening) {
+                start -= opening[0].length;
+            } else if (closing) {
+                end += closing[0].length;
+            } else {
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Find the tags in a piece of markup that aren't matched within it
+     * @param {string} markup - HTML fragment
+     * @returns {Object} - { unopened, unclosed }: lowercase tag names closed without being
+     *   opened (in source order) and opened without being closed (in source order)
+     */
+    static findUnbalancedTags(markup) {
+        const unopened = [];
+        const unclosed = [];
+        const tagPattern = /<(\/?)([a-zA-Z][\w-]*)\b(?:[^>"']|"[^"]*"|'[^']*')*?(\/?)>/g;
+        let match;
+        while ((match = tagPattern.exec(markup)) !== null) {
+            const tagName = match[2].toLowerCase();
+            if (match[3] || this.VOID_ELEMENTS.includes(tagName)) continue;
+            
+            if (!match[1]) {
+                unclosed.push(tagName);
+            } else if (unclosed[unclosed.length - 1] === tagName) {
+                unclosed.pop();
+            } else {
+                unopened.push(tagName);
+            }
+        }
+        return { unopened, unclosed };
+    }
 }
 
 // ==================== TEXT PROCESSOR ====================
 // Processes the text and returns an array of replacements
 class TextProcessor {
+    static INPUT_MODES = {
+        AUTO: 'auto',
+        TEXT: 'text',
+        HTML: 'html'
+    };
+
     constructor() {
         this.linkedConditions = new Set();
         this.businessRules = new BusinessRulesEngine();
@@ -6845,10 +10276,112 @@ class TextProcessor {
         this.originalText = '';
         this.originalInputText = '';
         this.processedText = '';
+        
+        // Requested input mode, and the mode actually used for the current text
+        this.inputMode = TextProcessor.INPUT_MODES.AUTO;
+        this.activeMode = TextProcessor.INPUT_MODES.TEXT;
+        
+        // Extra context passed to the business rules, e.g. what is known about the spell being converted
+        this.ruleContext = {};
+        
+        this.configureRules(RuleSettingsManager.getSettings());
+    }
+
+    /**
+     * Apply per-rule choices to both rule engines
+     * @param {Object} ruleSettings - { [rule class name]: { enabled, settings } }
+     */
+    configureRules(ruleSettings) {
+        this.businessRules.configureRules(ruleSettings);
+        this.formattingRules.configureRules(ruleSettings);
+    }
+
+    /**
+     * Set how input is interpreted
+     * @param {string} mode - One of TextProcessor.INPUT_MODES
+     */
+    setInputMode(mode) {
+        if (!Object.values(TextProcessor.INPUT_MODES).includes(mode)) {
+            console.warn(`Invalid input mode: ${mode}`);
+            return;
+        }
+        this.inputMode = mode;
+    }
+
+    /**
+     * Resolve the input mode for a piece of text (auto-detects HTML)
+     * @param {string} inputText - Raw input text
+     * @returns {string} - 'text' or 'html'
+     */
+    resolveInputMode(inputText) {
+        if (this.inputMode !== TextProcessor.INPUT_MODES.AUTO) {
+            return this.inputMode;
+        }
+        return HtmlTextSegmenter.looksLikeHtml(inputText) ? TextProcessor.INPUT_MODES.HTML : TextProcessor.INPUT_MODES.TEXT;
+    }
+
+    /**
+     * Check whether the current text is being handled as HTML
+     * @returns {boolean} - True in HTML mode
+     */
+    isHtmlMode() {
+        return this.activeMode === TextProcessor.INPUT_MODES.HTML;
+    }
+
+    /**
+     * Normalize raw input for the active mode. Plain text has its line breaks removed;
+     * HTML keeps its structure and only has line endings normalized.
+     * @param {string} inputText - Raw input text
+     * @returns {string} - Text that replacement positions refer to
+     */
+    prepareInput(inputText) {
+        const hookData = { text: inputText, mode: this.activeMode, processor: this };
+        AutomationRegistry.callHook('preProcess', hookData);
+        inputText = hookData.text;
+        
+        if (this.isHtmlMode()) {
+            return typeof inputText === 'string' ? inputText.replace(/\r\n?/g, '\n') : inputText;
+        }
+        return this.removeLineBreaks(inputText);
+    }
+
+    /**
+     * Run pattern detection for the active mode. In HTML mode the decoded text of each block
+     * is searched on its own, so inline markup (e.g. "DC 20 <em>Reflex</em> save") doesn't
+     * split a phrase. Match positions are mapped back into the full markup and the markup a
+     * match covers is kept as matchResult.sourceText.
+     * @param {string} text - Prepared input text
+     * @returns {Array} - Match results with conflicts resolved
+     */
+    detectMatches(text) {
+        if (!this.isHtmlMode()) {
+            return PatternDetector.detectAll(text);
+        }
+        
+        const matches = [];
+        let precedingText = '';
+        for (const run of HtmlTextSegmenter.getTextRuns(text)) {
+            for (const matchResult of PatternDetector.detectAll(run.text, { precedingText })) {
+                const matchObj = PatternDetector.getMatchObject(matchResult.match);
+                if (!matchObj) continue;
+                
+                // Replacements drop trailing whitespace, so the source span ends at the last other character
+                const span = HtmlTextSegmenter.toSourceSpan(text, run, matchObj.index, matchObj[0].replace(/\s+$/, '').length);
+                if (!span) continue;
+                matchObj.index = span.start;
+                matchResult.sourceText = text.slice(span.start, span.end);
+                matches.push(matchResult);
+            }
+            
+            // Every run after the first starts a new block
+            precedingText = '\n';
+        }
+        return matches;
     }
 
     process(inputText, state = null) {
-        const processedInput = this.removeLineBreaks(inputText); // Remove line breaks immediately as first step
+        this.activeMode = this.resolveInputMode(inputText);
+        const processedInput = this.prepareInput(inputText); // Remove line breaks (plain text only) as first step
         
         // Store both versions for different purposes
         this.originalInputText = inputText; // Store original for reference/debugging
@@ -6862,34 +10395,9 @@ class TextProcessor {
             this.linkedConditions = new Set();
             
             // Step 1: Pattern detection and replacement creation (now uses processed input)
-            const matches = PatternDetector.detectAll(processedInput);
-            
-            const replacements = [];
-    
-            for (const matchResult of matches) {
-                try {
-                    let replacement;
-                    
-                    if (matchResult.type === 'condition') {
-                        replacement = PatternDetector.createReplacement({
-                            ...matchResult,
-                            config: { 
-                                ...matchResult.config, 
-                                linkedConditions: { 
-                                    set: this.linkedConditions,
-                                    state: state 
-                                }
-                            }
-                        });
-                    } else {
-                        replacement = PatternDetector.createReplacement(matchResult);
-                    }
-                    
-                    replacements.push(replacement);
-                } catch (error) {
-                    console.error('[PF2e Converter] Error creating replacement:', error, matchResult);
-                }
-            }
+            const matches = this.detectMatches(processedInput);
+            const replacements = this.createReplacements(matches, state);
+            AutomationRegistry.callHook('postDetect', replacements, { text: processedInput, processor: this });
     
             // Step 2: Sort by priority
             const sortedReplacements = this.sortByPriority(replacements);
@@ -6910,6 +10418,187 @@ class TextProcessor {
         }
     }
 
+    /**
+     * Re-process edited input text while keeping the existing replacements where possible.
+     * Replacements whose source span wasn't touched by the edit keep their modified inline
+     * automation, enabled flag and display text; ones after the edit are shifted by the
+     * change in length. New replacements are only created where no preserved one sits.
+     * @param {string} inputText - The new input text
+     * @param {Array} previousReplacements - Replacements from the previous process/reprocess call
+     * @param {Object} state - State object passed through to replacement creation
+     * @returns {Array} - Preserved and newly detected replacements
+     */
+    reprocess(inputText, previousReplacements, state = null) {
+        const previousText = this.processedText;
+        
+        // Switching between plain text and HTML changes every position, so start over
+        if (this.resolveInputMode(inputText) !== this.activeMode) {
+            return this.process(inputText, state);
+        }
+        const processedInput = this.prepareInput(inputText);
+        
+        if (!previousReplacements || previousReplacements.length === 0 || !previousText ||
+            !processedInput || !processedInput.trim()) {
+            return this.process(inputText, state);
+        }
+        
+        const edit = this.findEditedRegion(previousText, processedInput);
+        
+        this.originalInputText = inputText;
+        this.processedText = processedInput;
+        
+        if (!edit) {
+            return previousReplacements;
+        }
+        
+        try {
+            // Step 1: Keep replacements clear of the edit, shifting the ones after it.
+            // Anything touching the edit boundary is re-detected, since its text may have changed.
+            const preserved = [];
+            const touched = [];
+            
+            for (const replacement of previousReplacements) {
+                if (replacement.endPos < edit.start) {
+                    preserved.push(replacement);
+                } else if (replacement.startPos > edit.oldEnd) {
+                    replacement.startPos += edit.delta;
+                    replacement.endPos += edit.delta;
+                    preserved.push(replacement);
+                } else {
+                    touched.push(replacement);
+                }
+            }
+            
+            // Step 2: Detect again, keeping only matches that don't collide with preserved replacements.
+            // Detection runs over the whole text rather than the edited region: patterns and rules look
+            // at the surrounding sentence and block, and a full pass costs a few milliseconds.
+            this.linkedConditions = new Set();
+            const matches = this.detectMatches(processedInput).filter(matchResult => {
+                const matchObj = PatternDetector.getMatchObject(matchResult.match);
+                if (!matchObj) return false;
+                const start = matchObj.index;
+                const end = start + (matchResult.sourceText ?? matchObj[0]).length;
+                return !preserved.some(replacement => start < replacement.endPos && end > replacement.startPos);
+            });
+            
+            // Step 3: A touched replacement whose text and type survived the edit keeps its state
+            const created = [];
+            const carried = [];
+            const detected = this.createReplacements(matches, state);
+            AutomationRegistry.callHook('postDetect', detected, { text: processedInput, processor: this });
+            for (const replacement of detected) {
+                const previous = touched.find(old => 
+                    old.type === replacement.type &&
+                    old.originalText === replacement.originalText &&
+                    !carried.includes(old)
+                );
+                
+                if (previous) {
+                    previous.startPos = replacement.startPos;
+                    previous.endPos = replacement.endPos;
+                    carried.push(previous);
+                } else {
+                    created.push(replacement);
+                }
+            }
+            
+            // Step 4: Business rules see the full list, but only decide the enabled state of new replacements
+            const kept = [...preserved, ...carried];
+            const keptEnabled = new Map(kept.map(replacement => [replacement, replacement.enabled]));
+            const merged = this.applyBusinessRules(this.sortByPriority([...kept, ...created]), processedInput, state);
+            keptEnabled.forEach((enabled, replacement) => {
+                replacement.enabled = enabled;
+            });
+            
+            // Step 5: Finalize original state for the new replacements only
+            created.forEach(replacement => {
+                replacement.finalizeOriginalState();
+            });
+            
+            return merged;
+        } catch (error) {
+            console.error('[PF2e Converter] Error in TextProcessor.reprocess:', error);
+            console.error('[PF2e Converter] Error stack:', error.stack);
+            return this.process(inputText, state);
+        }
+    }
+
+    /**
+     * Find the region that differs between two versions of the processed text
+     * @param {string} previousText - Text before the edit
+     * @param {string} currentText - Text after the edit
+     * @returns {Object|null} - { start, oldEnd, newEnd, delta } or null if the texts are identical
+     */
+    findEditedRegion(previousText, currentText) {
+        if (previousText === currentText) {
+            return null;
+        }
+        
+        const maxPrefix = Math.min(previousText.length, currentText.length);
+        let start = 0;
+        while (start < maxPrefix && previousText[start] === currentText[start]) {
+            start++;
+        }
+        
+        // The common suffix can't overlap the common prefix
+        const maxSuffix = maxPrefix - start;
+        let suffix = 0;
+        while (suffix < maxSuffix &&
+            previousText[previousText.length - 1 - suffix] === currentText[currentText.length - 1 - suffix]) {
+            suffix++;
+        }
+        
+        return {
+            start,
+            oldEnd: previousText.length - suffix,
+            newEnd: currentText.length - suffix,
+            delta: currentText.length - previousText.length
+        };
+    }
+
+    /**
+     * Create replacements from pattern matches
+     * @param {Array} matches - Match results from PatternDetector.detectAll
+     * @param {Object} state - State object passed to condition linking
+     * @returns {Array} - Replacement instances (not yet finalized)
+     */
+    createReplacements(matches, state = null) {
+        const replacements = [];
+        
+        for (const matchResult of matches) {
+            try {
+                let replacement;
+                
+                if (matchResult.type === 'condition') {
+                    replacement = PatternDetector.createReplacement({
+                        ...matchResult,
+                        config: { 
+                            ...matchResult.config, 
+                            linkedConditions: { 
+                                set: this.linkedConditions,
+                                state: state 
+                            }
+                        }
+                    });
+                } else {
+                    replacement = PatternDetector.createReplacement(matchResult);
+                }
+                
+                // HTML matches are found in decoded text; replace the markup they cover
+                if (matchResult.sourceText !== undefined) {
+                    replacement.endPos = replacement.startPos + matchResult.sourceText.length;
+                    replacement.originalText = matchResult.sourceText;
+                }
+                
+                replacements.push(replacement);
+            } catch (error) {
+                console.error('[PF2e Converter] Error creating replacement:', error, matchResult);
+            }
+        }
+        
+        return replacements;
+    }
+
     /**
      * Remove line breaks from input text, preserving intentional spacing
      * @param {string} text - Input text with potential line breaks
@@ -6946,6 +10635,7 @@ class TextProcessor {
             state: state,
             timestamp: Date.now(),
             enableLowDamageRule: false,
+            ...this.ruleContext
         };
         
         try {
@@ -6966,6 +10656,7 @@ class TextProcessor {
         // IMPORTANT: Use the processed text (line breaks removed) that was used to create the replacements
         // This ensures replacement positions are correct
         let processedText = this.processedText || text;
+        AutomationRegistry.callHook('preRender', replacements, { text: processedText, interactive, processor: this });
         
         // Step 1: Apply global legacy condition conversions
         processedText = this.applyGlobalLegacyConditionConversions(processedText);
@@ -6978,8 +10669,9 @@ class TextProcessor {
         }
         
         // Step 3: Apply formatting with inline automation protection
+        // HTML input already has its own structure, so the formatting rules are skipped
         const protectedElements = [];
-        if (applyFormatting && this.formattingRules.enabled) {
+        if (applyFormatting && this.formattingRules.enabled && !this.isHtmlMode()) {
             processedText = this.protectInlineAutomations(processedText, replacements, interactive, state, protectedElements);
             processedText = this.formattingRules.applyRules(processedText);
             processedText = this.restoreProtectedElements(processedText, protectedElements);
@@ -7109,232 +10801,2411 @@ class TextProcessor {
      * @returns {string} Escaped HTML
      */
     escapeHtml(html) {
-        const div = document.createElement('div');
-        div.textContent = html;
-        return div.innerHTML;
+        // Same escaping as assigning textContent and reading innerHTML, without needing a DOM
+        return html
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\u00a0/g, '&nbsp;');
+    }
+
+    applyReplacement(text, replacement, interactive = false, state = null) {
+        const before = text.substring(0, replacement.startPos);
+        const after = text.substring(replacement.endPos);
+        const rendered = interactive ? replacement.renderInteractive(state) : replacement.render();
+        
+        return before + rendered + after;
     }
 
-    applyReplacement(text, replacement, interactive = false, state = null) {
-        const before = text.substring(0, replacement.startPos);
-        const after = text.substring(replacement.endPos);
-        const rendered = interactive ? replacement.renderInteractive(state) : replacement.render();
-        
-        return before + rendered + after;
+    applyGlobalLegacyConditionConversions(result) {
+        LegacyConversionManager.getLegacyConditions().forEach(legacyCondition => {
+            const regex = new RegExp(`\\b${legacyCondition}\\b`, 'gi');
+            result = result.replace(regex, (match) => {
+                return LegacyConversionManager.convertLegacyCondition(match);
+            });
+        });
+        return result;
+    }
+}
+
+// ==================== HEADLESS API ====================
+// Conversion entry point with no Foundry or DOM dependencies, so the same
+// pipeline the dialog uses can run from scripts and Node.
+
+/**
+ * Convert plain text into PF2e inline automation syntax
+ * @param {string} text - Text to convert
+ * @param {Object} options - Conversion options
+ * @param {boolean} options.formatting - Whether to apply the HTML formatting rules to plain text (default true)
+ * @param {string} options.mode - 'auto', 'text' or 'html' (default 'auto'); HTML is converted in place
+ * @param {Object} options.context - Extra business rule context, e.g. baseRank and spellDefense for spell descriptions
+ * @param {Object} options.rules - Per-rule choices as saved by the rules panel, e.g. { BoldKeywordsRule: { enabled: false } }
+ * @returns {Object} - The converted text and a plain-object summary of each replacement
+ */
+function convert(text, options = {}) {
+    const { formatting = true, mode = TextProcessor.INPUT_MODES.AUTO, context = {}, rules = null } = options;
+    const processor = new TextProcessor();
+    if (rules) processor.configureRules(rules);
+    processor.setInputMode(mode);
+    processor.ruleContext = context;
+    processor.formattingRules.setCategoryEnabled(FormattingRule.CATEGORIES.HTML, formatting);
+
+    const replacements = processor.process(text || '');
+    const output = processor.renderFromReplacements(
+        text || '',
+        replacements,
+        false, // interactive = false
+        null,
+        true,  // applyFormatting = true (HTML category controlled above)
+        false  // escapeHtml = false
+    );
+
+    return {
+        text: output,
+        replacements: replacements
+            .slice()
+            .sort((a, b) => a.startPos - b.startPos)
+            .map(replacement => replacement.toJSON())
+    };
+}
+
+// Finds rules text that hasn't been automated yet, for auditing whole compendiums
+class AutomationAudit {
+    // Types shown as their own report columns; anything else is counted as "other"
+    static REPORT_TYPES = ['check', 'damage', 'condition', 'template'];
+
+    /**
+     * Count the plain-text patterns in a description, ignoring existing inline automation
+     * @param {string} description - Description HTML (or plain text)
+     * @returns {Object} - { counts: { type: number }, total }
+     */
+    static scanDescription(description) {
+        const counts = {};
+        let total = 0;
+        if (!description || !description.trim()) {
+            return { counts, total };
+        }
+        
+        const processor = new TextProcessor();
+        processor.activeMode = processor.resolveInputMode(description);
+        const matches = processor.detectMatches(processor.prepareInput(description));
+        
+        for (const matchResult of matches) {
+            if (matchResult.patternClass === AutomationPattern) continue;
+            counts[matchResult.type] = (counts[matchResult.type] || 0) + 1;
+            total++;
+        }
+        
+        return { counts, total };
+    }
+
+    /**
+     * Scan a set of documents and report the ones with unautomated text
+     * @param {Array} entries - Objects with { uuid, name, type, description }
+     * @returns {Array} - Report rows { uuid, name, type, counts, other, total } for documents with findings
+     */
+    static scanDocuments(entries) {
+        const rows = [];
+        
+        for (const entry of entries) {
+            const { counts, total } = this.scanDescription(entry.description);
+            if (total === 0) continue;
+            
+            const other = Object.entries(counts)
+                .filter(([type]) => !this.REPORT_TYPES.includes(type))
+                .reduce((sum, [, count]) => sum + count, 0);
+            
+            rows.push({
+                uuid: entry.uuid,
+                name: entry.name,
+                type: entry.type,
+                counts,
+                other,
+                total
+            });
+        }
+        
+        return rows;
+    }
+
+    /**
+     * Word-level diff of two strings, for previewing conversions
+     * @param {string} before - Original text
+     * @param {string} after - Converted text
+     * @returns {Array} - Parts of { type: 'same'|'removed'|'added', text }
+     */
+    static diffWords(before, after) {
+        const a = before.split(/(\s+)/);
+        const b = after.split(/(\s+)/);
+        
+        // Longest common subsequence table, filled from the end
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+        
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('same', a[i]);
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                push('removed', a[i++]);
+            } else {
+                push('added', b[j++]);
+            }
+        }
+        while (i < a.length) push('removed', a[i++]);
+        while (j < b.length) push('added', b[j++]);
+        
+        return parts;
+    }
+}
+
+/**
+ * Create a live preview with active inline rolls
+ * @param {string} text - Text with inline roll syntax
+ * @param {HTMLElement} container - Container to render preview in
+ */
+async function createLivePreview(text, container) {
+    if (!text || text.trim() === '') {
+        container.innerHTML = '<em class="rollconverter-output-placeholder"></em>';
+        return;
+    }
+
+    try {
+        const htmlText = text;
+        // const htmlText = text.replace(/\n/g, '<br>');
+
+        const processedHTML = await TextEditor.enrichHTML(htmlText, {
+            async: true,
+            rollData: {},
+            relativeTo: null
+        });
+
+        const previewContent = `
+            <div class="rollconverter-preview-content">
+                ${processedHTML}
+            </div>
+        `;
+
+        container.innerHTML = previewContent;
+
+        // Add click handlers to the inline rolls
+        const inlineRolls = container.querySelectorAll('.inline-roll');
+        inlineRolls.forEach(roll => {
+            roll.style.cursor = 'pointer';
+            roll.addEventListener('click', async (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                
+                try {
+                    const formula = roll.dataset.formula || roll.innerText;
+                    const rollData = {};
+                    
+                    const actualRoll = new Roll(formula, rollData);
+                    await actualRoll.evaluate();
+                    
+                    actualRoll.toMessage({
+                        flavor: "PF2e Converter Preview Roll",
+                        speaker: ChatMessage.getSpeaker()
+                    });
+                    
+                } catch (rollError) {
+                    ui.notifications.warn(`Could not execute roll: ${rollError.message}`);
+                }
+            });
+        });
+
+    } catch (error) {
+        container.innerHTML = `<em style="color: #d32f2f;">Error creating preview: ${error.message}</em>`;
+    }
+}
+
+/**
+ * Copy text to clipboard
+ * @param {string} text - Text to copy
+ */
+async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        ui.notifications.info("Text copied to clipboard.");
+    } catch (error) {
+        ui.notifications.error("Failed to copy text to clipboard.");
+    }
+}
+
+/**
+ * Create and show the converter dialog
+ * @param {Object} options - Dialog options
+ * @param {Document} options.document - Item or JournalEntryPage to load and save the description of
+ */
+function showConverterDialog(options = {}) {
+    const targetDocument = options.document || null;
+    const documentControls = targetDocument ? `
+                <div class="rollconverter-sidebar-controls">
+                    <button type="button" id="save-to-document" class="rollconverter-control-button">Save to Document</button>
+                    <button type="button" id="restore-description" class="rollconverter-control-button" title="Restore the description from before the last save">Restore Previous</button>
+                </div>` : '';
+
+    // Inject CSS before creating dialog
+    CSSManager.injectStyles();
+    
+    const dialogContent = `
+        <div class="rollconverter-dialog">
+            <div class="rollconverter-main">
+                <fieldset class="rollconverter-fieldset rollconverter-input-section">
+                    <legend>Input Text</legend>
+                    <div class="form-group rollconverter-section-content">
+                        <div class="form-fields">
+                            <textarea 
+                                id="input-text" 
+                                name="inputText" 
+                                placeholder="Paste your spell, ability, or feat description here..."
+                                class="rollconverter-input-textarea"
+                                >${DEFAULT_INPUT}</textarea>
+                        </div>
+                        <p class="notes">Modifications made below are kept unless you edit the text they came from.</p>
+                    </div>
+                </fieldset>
+                
+                <fieldset class="rollconverter-fieldset rollconverter-output-section">
+                    <legend>Converted Text</legend>
+                    <div class="form-group rollconverter-section-content">
+                        <div class="form-fields">
+                            <div id="output-html" class="rollconverter-output-area rollconverter-output-converted">
+                            </div>
+                        </div>
+                        <p class="notes">Click an inline roll to modify it.</p>
+                    </div>
+                </fieldset>
+                
+                <fieldset class="rollconverter-fieldset rollconverter-preview-section">
+                    <legend>Live Preview</legend>
+                    <div class="form-group rollconverter-section-content">
+                        <div class="form-fields">
+                            <div id="live-preview" class="rollconverter-output-area">
+                                <em class="rollconverter-output-placeholder">Live preview will appear here...</em>
+                            </div>
+                        </div>
+                        <p class="notes">Click inline rolls to test them.</p>
+                    </div>
+                </fieldset>
+            </div>
+            
+            <div class="rollconverter-sidebar">
+                <fieldset class="rollconverter-fieldset rollconverter-modifier-panel">
+                    <legend class="rollconverter-modifier-legend">
+                        <span class="rollconverter-modifier-title">Modifier Panel</span>
+                    </legend>
+                    <div class="rollconverter-modifier-content" id="modifier-panel-content">
+                        <p>Select an element to modify.</p>
+                    </div>
+                </fieldset>
+                
+                <form id="formatting-options-form" class="rollconverter-form">
+                    <!-- Content will be generated by FieldRenderer -->
+                </form>
+                
+                <fieldset class="rollconverter-fieldset rollconverter-history-panel">
+                    <legend>History</legend>
+                    <div class="rollconverter-history-controls">
+                        <button type="button" id="history-undo" class="rollconverter-control-button" title="Undo (Ctrl+Z)">Undo</button>
+                        <button type="button" id="history-redo" class="rollconverter-control-button" title="Redo (Ctrl+Shift+Z)">Redo</button>
+                    </div>
+                    <ol id="history-list" class="rollconverter-history-list"></ol>
+                </fieldset>
+                
+                <div class="rollconverter-sidebar-controls">
+                    <button type="button" id="copy-output" class="rollconverter-control-button">Copy Output</button>
+                    <button type="button" id="open-audit" class="rollconverter-control-button" title="Scan a compendium or folder for unautomated text">Audit Items</button>
+                    <button type="button" id="custom-patterns" class="rollconverter-control-button" title="Define table-specific regex patterns">Custom Patterns</button>
+                    <button type="button" id="homebrew" class="rollconverter-control-button" title="Add homebrew actions, conditions and damage types">Homebrew</button>
+                    <button type="button" id="import-npc" class="rollconverter-control-button" title="Create an NPC actor from a creature stat block pasted as input">Import as NPC</button>
+                    <button type="button" id="create-spell" class="rollconverter-control-button" title="Create a spell item from a spell stat block pasted as input">Create Spell</button>
+                </div>${documentControls}
+            </div>
+        </div>
+    `;
+
+    // Create the converter dialog instance
+    const converterDialog = new ConverterDialog({ document: targetDocument });
+
+    const dialog = new Dialog({
+        title: targetDocument ? `PF2e Inline Roll Converter: ${targetDocument.name}` : "PF2e Inline Roll Converter",
+        content: dialogContent,
+        buttons: {},
+        render: (html) => {
+            try {
+                converterDialog.initializeUI(html);
+                converterDialog.setupEventHandlers();
+            } catch (error) {
+                console.error('[PF2e Converter] Error in dialog render callback:', error);
+                console.error('[PF2e Converter] Error stack:', error.stack);
+            }
+        },
+        close: () => {
+            // Clean up converter dialog data
+            if (converterDialog) {
+                converterDialog.cleanup();
+            }
+            
+            // Schedule CSS cleanup after dialog window fully closes,
+            // unless another converter (e.g. for a different item) is still open
+            setTimeout(() => {
+                if (!document.querySelector('.rollconverter-dialog, .rollconverter-audit, .rollconverter-custom-patterns, .rollconverter-homebrew, .rollconverter-rules')) {
+                    CSSManager.removeStyles();
+                }
+            }, 500); // Small delay to ensure window has closed
+        }
+    }, {
+        width: 1000,
+        height: 700,
+        resizable: true,
+        classes: ["rollconverter-dialog-window"] // Add custom class for additional styling if needed
+    });
+    
+    dialog.render(true);
+}
+
+// ===================== DOCUMENT INTEGRATION =====================
+// Adds "Convert" entries to Item sheets, the Items directory and journal text pages,
+// and handles saving converted descriptions back to those documents.
+
+class DocumentIntegration {
+    // Item types whose descriptions hold rules text
+    static ITEM_TYPES = [
+        'spell', 'feat', 'action', 'equipment', 'weapon', 'armor', 'shield',
+        'consumable', 'backpack', 'treasure', 'effect', 'condition'
+    ];
+
+    // Flag (under the 'world' scope) that stores descriptions replaced by a save
+    static FLAG_KEY = 'rollconverterPreviousDescriptions';
+
+    // How many earlier descriptions to keep per document
+    static PREVIOUS_DESCRIPTION_LIMIT = 5;
+
+    /**
+     * Check whether a document has a description the converter can work on
+     * @param {Document} doc - Item or JournalEntryPage
+     * @returns {boolean} - True if supported
+     */
+    static isSupported(doc) {
+        if (!doc) return false;
+        if (doc.documentName === 'Item') return this.ITEM_TYPES.includes(doc.type);
+        if (doc.documentName === 'JournalEntryPage') return doc.type === 'text';
+        return false;
+    }
+
+    /**
+     * Get the data path of the document's description
+     * @param {Document} doc - Item or JournalEntryPage
+     * @returns {string} - Property path usable with document.update
+     */
+    static getDescriptionPath(doc) {
+        return doc.documentName === 'JournalEntryPage' ? 'text.content' : 'system.description.value';
+    }
+
+    /**
+     * Get the document's current description
+     * @param {Document} doc - Item or JournalEntryPage
+     * @returns {string} - Description HTML
+     */
+    static getDescription(doc) {
+        return foundry.utils.getProperty(doc, this.getDescriptionPath(doc)) || '';
+    }
+
+    /**
+     * Get the descriptions replaced by earlier saves, newest first
+     * @param {Document} doc - Item or JournalEntryPage
+     * @returns {Array} - Entries of { value, savedAt, userId }
+     */
+    static getPreviousDescriptions(doc) {
+        return doc.getFlag('world', this.FLAG_KEY) || [];
+    }
+
+    /**
+     * Check whether there is a previous description to restore
+     * @param {Document} doc - Item or JournalEntryPage
+     * @returns {boolean} - True if a previous description was recorded
+     */
+    static hasPreviousDescription(doc) {
+        return this.getPreviousDescriptions(doc).length > 0;
+    }
+
+    /**
+     * Save a new description, recording the current one so it can be restored
+     * @param {Document} doc - Item or JournalEntryPage
+     * @param {string} description - New description HTML
+     * @returns {Promise<boolean>} - False if the description was unchanged
+     */
+    static async saveDescription(doc, description) {
+        const current = this.getDescription(doc);
+        if (current === description) return false;
+
+        const previous = [
+            { value: current, savedAt: Date.now(), userId: game.user.id },
+            ...this.getPreviousDescriptions(doc)
+        ].slice(0, this.PREVIOUS_DESCRIPTION_LIMIT);
+
+        await doc.update({
+            [this.getDescriptionPath(doc)]: description,
+            [`flags.world.${this.FLAG_KEY}`]: previous
+        });
+        return true;
+    }
+
+    /**
+     * Restore the most recently recorded description
+     * @param {Document} doc - Item or JournalEntryPage
+     * @returns {Promise<string>} - The restored description
+     */
+    static async restoreDescription(doc) {
+        const [latest, ...rest] = this.getPreviousDescriptions(doc);
+        if (!latest) {
+            throw new Error(`No previous description recorded for ${doc.name}`);
+        }
+
+        await doc.update({
+            [this.getDescriptionPath(doc)]: latest.value,
+            [`flags.world.${this.FLAG_KEY}`]: rest
+        });
+        return latest.value;
+    }
+
+    /**
+     * Open the converter for a document
+     * @param {Document} doc - Item or JournalEntryPage
+     */
+    static openConverter(doc) {
+        if (!doc.canUserModify(game.user, 'update')) {
+            ui.notifications.warn(`You don't have permission to modify ${doc.name}.`);
+            return;
+        }
+        showConverterDialog({ document: doc });
+    }
+
+    /**
+     * Build the sheet header button for a document sheet
+     * @param {Document} doc - The sheet's document
+     * @returns {Object} - Header button definition
+     */
+    static getHeaderButton(doc) {
+        return {
+            label: 'Convert',
+            class: 'rollconverter-convert',
+            icon: 'fas fa-dice-d20',
+            onclick: () => this.openConverter(doc)
+        };
+    }
+
+    /**
+     * Register the sheet and directory hooks.
+     * Running the macro again replaces the hooks from the previous run so they use the latest code.
+     */
+    static registerHooks() {
+        const registered = globalThis.rollconverterHooks || [];
+        registered.forEach(({ hook, id }) => Hooks.off(hook, id));
+
+        const hooks = {
+            getItemSheetHeaderButtons: (sheet, buttons) => {
+                const doc = sheet.document;
+                if (this.isSupported(doc) && doc.isOwner) {
+                    buttons.unshift(this.getHeaderButton(doc));
+                }
+            },
+            getJournalPageSheetHeaderButtons: (sheet, buttons) => {
+                const doc = sheet.document;
+                if (this.isSupported(doc) && doc.isOwner) {
+                    buttons.unshift(this.getHeaderButton(doc));
+                }
+            },
+            getItemDirectoryEntryContext: (html, entryOptions) => {
+                const getItem = (li) => game.items.get(li.data('documentId') ?? li.data('entryId'));
+                entryOptions.push({
+                    name: 'Convert Description',
+                    icon: '<i class="fas fa-dice-d20"></i>',
+                    condition: (li) => {
+                        const item = getItem(li);
+                        return this.isSupported(item) && item.isOwner;
+                    },
+                    callback: (li) => this.openConverter(getItem(li))
+                });
+            }
+        };
+
+        globalThis.rollconverterHooks = Object.entries(hooks).map(([hook, fn]) => ({ hook, id: Hooks.on(hook, fn) }));
+    }
+}
+
+// ===================== COMPENDIUM AUDIT =====================
+// Dialog that scans a compendium pack or world folder for unautomated rules text
+// and bulk-converts selected documents after a preview.
+
+class AuditDialog {
+    constructor() {
+        this.rows = [];
+        this.selected = new Set();
+        this.sort = { key: 'total', direction: -1 };
+        this.source = null;
+        this.dialog = null;
+    }
+
+    /**
+     * Escape HTML for safe display of document and folder names
+     * @param {string} html - HTML to escape
+     * @returns {string} Escaped HTML
+     */
+    escapeHtml(html) {
+        const div = document.createElement('div');
+        div.textContent = html;
+        return div.innerHTML;
+    }
+
+    /**
+     * Get the packs and folders that can be audited
+     * @returns {Array} - Options of { value, label }
+     */
+    static getSourceOptions() {
+        const packs = game.packs
+            .filter(pack => pack.documentName === 'Item')
+            .map(pack => ({ value: `pack:${pack.collection}`, label: `Compendium: ${pack.title}` }));
+        const folders = game.folders
+            .filter(folder => folder.type === 'Item')
+            .map(folder => ({ value: `folder:${folder.id}`, label: `Folder: ${folder.name}` }));
+        return [...packs, ...folders];
+    }
+
+    /**
+     * Load the items of the chosen source as scanner entries
+     * @param {string} source - Source value from getSourceOptions
+     * @returns {Promise<Array>} - Entries of { uuid, name, type, description }
+     */
+    static async loadEntries(source) {
+        const [kind, id] = source.split(/:(.*)/s);
+        
+        if (kind === 'pack') {
+            const pack = game.packs.get(id);
+            const index = await pack.getIndex({ fields: ['system.description.value'] });
+            return index.map(entry => ({
+                uuid: entry.uuid ?? `Compendium.${pack.collection}.Item.${entry._id}`,
+                name: entry.name,
+                type: entry.type,
+                description: entry.system?.description?.value || ''
+            }));
+        }
+        
+        const folder = game.folders.get(id);
+        const items = [folder, ...folder.getSubfolders(true)].flatMap(f => f.contents);
+        return items.map(item => ({
+            uuid: item.uuid,
+            name: item.name,
+            type: item.type,
+            description: item.system?.description?.value || ''
+        }));
+    }
+
+    /**
+     * Open the audit dialog
+     */
+    render() {
+        CSSManager.injectStyles();
+        
+        const sourceOptions = AuditDialog.getSourceOptions()
+            .map(option => `<option value="${this.escapeHtml(option.value)}">${this.escapeHtml(option.label)}</option>`)
+            .join('');
+        
+        const content = `
+            <div class="rollconverter-audit">
+                <div class="form-group">
+                    <label>Source</label>
+                    <div class="form-fields">
+                        <select id="audit-source">${sourceOptions}</select>
+                        <button type="button" id="audit-scan" class="rollconverter-control-button">Scan</button>
+                    </div>
+                </div>
+                <div id="audit-report" class="rollconverter-audit-report">
+                    <p class="notes">Choose a compendium or folder and click Scan.</p>
+                </div>
+                <div class="rollconverter-sidebar-controls">
+                    <button type="button" id="audit-convert" class="rollconverter-control-button" disabled>Convert Selected</button>
+                </div>
+            </div>
+        `;
+        
+        this.dialog = new Dialog({
+            title: 'PF2e Inline Roll Converter: Audit',
+            content,
+            buttons: {},
+            render: (html) => {
+                html.find('#audit-scan').on('click', () => this.scan(html.find('#audit-source').val()));
+                html.find('#audit-convert').on('click', () => this.previewConversion());
+                this.ui = { report: html.find('#audit-report')[0], convertButton: html.find('#audit-convert') };
+            }
+        }, {
+            width: 720,
+            height: 600,
+            resizable: true,
+            classes: ['rollconverter-dialog-window']
+        });
+        
+        this.dialog.render(true);
+    }
+
+    /**
+     * Scan the chosen source and show the report
+     * @param {string} source - Source value
+     */
+    async scan(source) {
+        if (!source) return;
+        
+        this.source = source;
+        this.ui.report.innerHTML = '<p class="notes">Scanning...</p>';
+        
+        try {
+            const entries = await AuditDialog.loadEntries(source);
+            this.rows = AutomationAudit.scanDocuments(entries);
+            this.selected = new Set();
+            this.renderReport();
+            ui.notifications.info(`Scanned ${entries.length} items; ${this.rows.length} have unautomated text.`);
+        } catch (error) {
+            console.error('[PF2e Converter] Error scanning for audit:', error);
+            this.ui.report.innerHTML = `<p class="notes">Scan failed: ${error.message}</p>`;
+        }
+    }
+
+    /**
+     * Get a sortable value from a report row
+     * @param {Object} row - Report row
+     * @param {string} key - Column key
+     * @returns {string|number} - Value to sort by
+     */
+    getSortValue(row, key) {
+        if (key === 'name' || key === 'type') return (row[key] || '').toLowerCase();
+        if (key === 'other' || key === 'total') return row[key];
+        return row.counts[key] || 0;
+    }
+
+    /**
+     * Render the report table
+     */
+    renderReport() {
+        if (this.rows.length === 0) {
+            this.ui.report.innerHTML = '<p class="notes">No unautomated text found.</p>';
+            this.updateConvertButton();
+            return;
+        }
+        
+        const { key, direction } = this.sort;
+        const rows = this.rows.slice().sort((a, b) => {
+            const aValue = this.getSortValue(a, key);
+            const bValue = this.getSortValue(b, key);
+            return (aValue > bValue ? 1 : aValue < bValue ? -1 : 0) * direction;
+        });
+        
+        const columns = [
+            { key: 'name', label: 'Name' },
+            { key: 'type', label: 'Type' },
+            { key: 'check', label: 'Checks' },
+            { key: 'damage', label: 'Damage' },
+            { key: 'condition', label: 'Conditions' },
+            { key: 'template', label: 'Templates' },
+            { key: 'other', label: 'Other' },
+            { key: 'total', label: 'Total' }
+        ];
+        
+        const header = columns.map(column => {
+            const arrow = column.key === key ? (direction > 0 ? ' ▲' : ' ▼') : '';
+            return `<th data-sort="${column.key}">${column.label}${arrow}</th>`;
+        }).join('');
+        
+        const body = rows.map(row => `
+            <tr>
+                <td><input type="checkbox" data-uuid="${row.uuid}" ${this.selected.has(row.uuid) ? 'checked' : ''}></td>
+                <td>${this.escapeHtml(row.name)}</td>
+                <td>${this.escapeHtml(row.type || '')}</td>
+                <td>${row.counts.check || 0}</td>
+                <td>${row.counts.damage || 0}</td>
+                <td>${row.counts.condition || 0}</td>
+                <td>${row.counts.template || 0}</td>
+                <td>${row.other}</td>
+                <td>${row.total}</td>
+            </tr>
+        `).join('');
+        
+        const allSelected = this.selected.size === this.rows.length;
+        this.ui.report.innerHTML = `
+            <table class="rollconverter-audit-table">
+                <thead><tr><th><input type="checkbox" id="audit-select-all" ${allSelected ? 'checked' : ''}></th>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+        
+        this.ui.report.querySelectorAll('th[data-sort]').forEach(th => {
+            th.onclick = () => {
+                const sortKey = th.dataset.sort;
+                this.sort = {
+                    key: sortKey,
+                    direction: this.sort.key === sortKey ? -this.sort.direction : (sortKey === 'name' || sortKey === 'type' ? 1 : -1)
+                };
+                this.renderReport();
+            };
+        });
+        
+        this.ui.report.querySelectorAll('input[data-uuid]').forEach(checkbox => {
+            checkbox.onchange = () => {
+                if (checkbox.checked) {
+                    this.selected.add(checkbox.dataset.uuid);
+                } else {
+                    this.selected.delete(checkbox.dataset.uuid);
+                }
+                this.updateConvertButton();
+            };
+        });
+        
+        const selectAll = this.ui.report.querySelector('#audit-select-all');
+        if (selectAll) {
+            selectAll.onchange = () => {
+                this.selected = selectAll.checked ? new Set(this.rows.map(row => row.uuid)) : new Set();
+                this.renderReport();
+            };
+        }
+        
+        this.updateConvertButton();
+    }
+
+    /**
+     * Enable the convert button when something is selected
+     */
+    updateConvertButton() {
+        this.ui.convertButton.prop('disabled', this.selected.size === 0);
+        this.ui.convertButton.text(this.selected.size > 0 ? `Convert Selected (${this.selected.size})` : 'Convert Selected');
+    }
+
+    /**
+     * Convert the selected documents in memory and show a diff for each before saving
+     */
+    async previewConversion() {
+        const conversions = [];
+        
+        for (const uuid of this.selected) {
+            const doc = await fromUuid(uuid);
+            if (!doc) continue;
+            
+            const before = DocumentIntegration.getDescription(doc);
+            const after = convert(before, { mode: TextProcessor.INPUT_MODES.HTML }).text;
+            if (before !== after) {
+                conversions.push({ doc, before, after });
+            }
+        }
+        
+        if (conversions.length === 0) {
+            ui.notifications.info('None of the selected documents would change.');
+            return;
+        }
+        
+        const escape = (text) => this.escapeHtml(text);
+        const previews = conversions.map(({ doc, before, after }) => {
+            const diff = AutomationAudit.diffWords(before, after).map(part => {
+                if (part.type === 'removed') return `<del>${escape(part.text)}</del>`;
+                if (part.type === 'added') return `<ins>${escape(part.text)}</ins>`;
+                return escape(part.text);
+            }).join('');
+            return `<details class="rollconverter-audit-diff"><summary>${escape(doc.name)}</summary><div>${diff}</div></details>`;
+        }).join('');
+        
+        const confirmed = await Dialog.confirm({
+            title: `Convert ${conversions.length} Document(s)`,
+            content: `<div class="rollconverter-audit-preview">${previews}</div>
+                <p class="notes">Each document keeps its previous description so it can be restored from its converter window.</p>`,
+            options: { width: 720, height: 600, resizable: true, classes: ['rollconverter-dialog-window'] }
+        });
+        if (!confirmed) return;
+        
+        let converted = 0;
+        for (const { doc, after } of conversions) {
+            if (doc.pack && game.packs.get(doc.pack)?.locked) {
+                ui.notifications.warn(`Compendium ${doc.pack} is locked; skipped ${doc.name}.`);
+                continue;
+            }
+            try {
+                await DocumentIntegration.saveDescription(doc, after);
+                converted++;
+            } catch (error) {
+                console.error(`[PF2e Converter] Error converting ${doc.name}:`, error);
+            }
+        }
+        
+        ui.notifications.info(`Converted ${converted} of ${conversions.length} document(s).`);
+        await this.scan(this.source);
+    }
+}
+
+// ===================== CUSTOM PATTERNS =====================
+// Table-specific patterns that GMs define in the converter instead of in code. Each entry is a
+// regex, the automation type it produces and a JSON parameter template filled from its capture groups.
+
+// Compiles user-defined pattern entries into pattern classes and keeps them in a world setting
+class CustomPatternManager {
+    static SETTING_KEY = 'rollconverterCustomPatterns';
+    static DEFAULT_PRIORITY = 160; // Above compendium links, below existing inline rolls
+    static ALLOWED_FLAGS = 'imsu';
+    static _registered = [];
+
+    /**
+     * Create a blank entry for the editor
+     * @returns {Object} - Entry of { id, name, regex, flags, type, priority, parameters, enabled }
+     */
+    static createEntry() {
+        return {
+            id: generateId(),
+            name: 'New Pattern',
+            regex: '',
+            flags: 'i',
+            type: 'check',
+            priority: this.DEFAULT_PRIORITY,
+            parameters: '{}',
+            enabled: true
+        };
+    }
+
+    /**
+     * Check an entry before it is compiled
+     * @param {Object} entry - Pattern entry
+     * @returns {string|null} - Error message, or null if the entry is valid
+     */
+    static validate(entry) {
+        if (!entry.regex) return 'Enter a regular expression.';
+
+        const flags = entry.flags || '';
+        const invalidFlag = [...flags].find(flag => !this.ALLOWED_FLAGS.includes(flag));
+        if (invalidFlag) return `Unsupported regex flag: ${invalidFlag}`;
+
+        let regex;
+        try {
+            regex = new RegExp(entry.regex, flags);
+        } catch (error) {
+            return `Invalid regular expression: ${error.message}`;
+        }
+        if (regex.test('')) return 'The regular expression must not match empty text.';
+
+        if (!AutomationRegistry.getTypes().includes(entry.type)) return `Unknown automation type: ${entry.type}`;
+        if (!Number.isFinite(Number(entry.priority))) return 'Priority must be a number.';
+
+        let template;
+        try {
+            template = JSON.parse(entry.parameters || '{}');
+        } catch (error) {
+            return `Invalid parameter template: ${error.message}`;
+        }
+        if (!template || typeof template !== 'object' || Array.isArray(template)) {
+            return 'The parameter template must be a JSON object.';
+        }
+
+        return null;
+    }
+
+    /**
+     * Fill a parameter template from a match. Strings may use $0 (the whole match), $1...$99
+     * (numbered groups) and $<name> (named groups); $$ is a literal $. A string that is only
+     * a placeholder takes the group's value, as a number if the group is numeric.
+     * @param {*} template - Parsed template, or any value inside it
+     * @param {Array} match - Regex match array
+     * @returns {*} - Filled copy of the template
+     */
+    static fillTemplate(template, match) {
+        if (Array.isArray(template)) {
+            return template.map(value => this.fillTemplate(value, match));
+        }
+        if (template && typeof template === 'object') {
+            return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, this.fillTemplate(value, match)]));
+        }
+        if (typeof template !== 'string') return template;
+
+        const groupValue = (number, name) => (name !== undefined ? match.groups?.[name] : match[parseInt(number)]) ?? '';
+
+        const whole = template.match(/^\$(?:(\d+)|<(\w+)>)$/);
+        if (whole) {
+            const value = groupValue(whole[1], whole[2]);
+            return /^[+-]?\d+$/.test(value.trim()) ? parseInt(value) : value;
+        }
+
+        return template.replace(/\$(?:\$|(\d+)|<(\w+)>)/g, (placeholder, number, name) => {
+            if (placeholder === '$$') return '$';
+            return groupValue(number, name);
+        });
+    }
+
+    /**
+     * Compile an entry into a BasePattern subclass
+     * @param {Object} entry - Pattern entry
+     * @returns {Function} - Pattern class
+     */
+    static compile(entry) {
+        const error = this.validate(entry);
+        if (error) throw new Error(`${entry.name || 'Custom pattern'}: ${error}`);
+
+        const manager = this;
+        const template = JSON.parse(entry.parameters || '{}');
+        const priority = Number(entry.priority);
+
+        return class CustomPattern extends BasePattern {
+            static type = entry.type;
+            static priority = priority;
+            static description = entry.name;
+            static customPatternId = entry.id;
+
+            static PATTERNS = [
+                {
+                    regex: new RegExp(entry.regex, `${entry.flags || ''}g`),
+                    priority,
+                    extractor: 'template'
+                }
+            ];
+
+            static EXTRACTORS = {
+                template: (match) => manager.fillTemplate(template, match)
+            };
+        };
+    }
+
+    /**
+     * Run an entry against sample text without registering it
+     * @param {Object} entry - Pattern entry
+     * @param {string} sample - Sample text
+     * @returns {Array} - Results of { text, parameters, output, error }
+     */
+    static test(entry, sample) {
+        const PatternClass = this.compile(entry);
+        return PatternClass.test(sample).map(matchResult => {
+            const result = { text: matchResult.match[0], parameters: matchResult.config.parameters };
+            try {
+                result.output = PatternDetector.createReplacement(matchResult).render();
+            } catch (error) {
+                result.error = error.message;
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Replace the registered custom patterns with the enabled entries. Entries that fail
+     * to compile are skipped.
+     * @param {Array} entries - Pattern entries
+     * @returns {Array} - Errors for the skipped entries
+     */
+    static register(entries) {
+        this._registered.forEach(PatternClass => AutomationRegistry.unregisterPattern(PatternClass));
+        this._registered = [];
+
+        const errors = [];
+        for (const entry of entries.filter(entry => entry.enabled)) {
+            try {
+                const PatternClass = this.compile(entry);
+                AutomationRegistry.registerPattern(PatternClass);
+                this._registered.push(PatternClass);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        return errors;
+    }
+
+    static registerSetting() {
+        if (game.settings.settings.has(`world.${this.SETTING_KEY}`)) return;
+        game.settings.register('world', this.SETTING_KEY, {
+            name: 'Inline Roll Converter Custom Patterns',
+            scope: 'world',
+            config: false,
+            type: Array,
+            default: []
+        });
+    }
+
+    static getEntries() {
+        this.registerSetting();
+        return foundry.utils.deepClone(game.settings.get('world', this.SETTING_KEY) || []);
+    }
+
+    /**
+     * Register the saved patterns
+     */
+    static load() {
+        const errors = this.register(this.getEntries());
+        errors.forEach(error => console.warn('[PF2e Converter] Skipped custom pattern:', error));
+    }
+
+    /**
+     * Save the entries to the world setting and register them
+     * @param {Array} entries - Pattern entries
+     */
+    static async save(entries) {
+        this.registerSetting();
+        await game.settings.set('world', this.SETTING_KEY, entries);
+        return this.register(entries);
+    }
+}
+
+// Editor for the custom patterns, with a live test against sample text
+class CustomPatternDialog {
+    /**
+     * @param {Function} onSave - Called after the patterns are saved
+     */
+    constructor(onSave = null) {
+        this.entries = CustomPatternManager.getEntries();
+        this.selectedIndex = this.entries.length > 0 ? 0 : -1;
+        this.sample = '';
+        this.onSave = onSave;
+        this.dialog = null;
+        this.ui = {};
+    }
+
+    static escape(text) {
+        return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    get selectedEntry() {
+        return this.entries[this.selectedIndex] || null;
+    }
+
+    /**
+     * Open the editor
+     */
+    render() {
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only a GM can edit custom patterns.');
+            return;
+        }
+        
+        CSSManager.injectStyles();
+        
+        const content = `
+            <div class="rollconverter-custom-patterns">
+                <div class="rollconverter-custom-pattern-list">
+                    <ul id="custom-pattern-list"></ul>
+                    <button type="button" id="custom-pattern-add" class="rollconverter-control-button">Add Pattern</button>
+                </div>
+                <div class="rollconverter-custom-pattern-editor">
+                    <div id="custom-pattern-form"></div>
+                    <div class="form-group stacked">
+                        <label>Sample Text</label>
+                        <textarea id="custom-pattern-sample" rows="4" placeholder="Paste text to test the selected pattern against"></textarea>
+                    </div>
+                    <div id="custom-pattern-results" class="rollconverter-custom-pattern-results"></div>
+                </div>
+            </div>
+        `;
+        
+        this.dialog = new Dialog({
+            title: 'PF2e Inline Roll Converter: Custom Patterns',
+            content,
+            buttons: {
+                save: { label: 'Save', callback: () => this.save() },
+                cancel: { label: 'Cancel' }
+            },
+            default: 'save',
+            render: (html) => {
+                this.ui = {
+                    list: html.find('#custom-pattern-list')[0],
+                    form: html.find('#custom-pattern-form')[0],
+                    results: html.find('#custom-pattern-results')[0]
+                };
+                html.find('#custom-pattern-add').on('click', () => {
+                    this.entries.push(CustomPatternManager.createEntry());
+                    this.selectedIndex = this.entries.length - 1;
+                    this.renderList();
+                    this.renderForm();
+                });
+                html.find('#custom-pattern-sample').on('input', (event) => {
+                    this.sample = event.target.value;
+                    this.renderResults();
+                });
+                this.renderList();
+                this.renderForm();
+            }
+        }, {
+            width: 800,
+            height: 600,
+            resizable: true,
+            classes: ['rollconverter-dialog-window']
+        });
+        
+        this.dialog.render(true);
+    }
+
+    renderList() {
+        const { escape } = CustomPatternDialog;
+        this.ui.list.innerHTML = this.entries.map((entry, index) => `
+            <li data-index="${index}" class="${index === this.selectedIndex ? 'selected' : ''} ${entry.enabled ? '' : 'disabled'}">
+                ${escape(entry.name || '(unnamed)')} <span class="notes">${escape(entry.type)}</span>
+            </li>
+        `).join('') || '<li class="notes">No custom patterns yet.</li>';
+        
+        this.ui.list.querySelectorAll('li[data-index]').forEach(item => {
+            item.onclick = () => {
+                this.selectedIndex = parseInt(item.dataset.index);
+                this.renderList();
+                this.renderForm();
+            };
+        });
+    }
+
+    renderForm() {
+        const entry = this.selectedEntry;
+        if (!entry) {
+            this.ui.form.innerHTML = '<p class="notes">Add a pattern to get started.</p>';
+            this.renderResults();
+            return;
+        }
+        
+        const { escape } = CustomPatternDialog;
+        const typeOptions = AutomationRegistry.getTypes()
+            .map(type => `<option value="${type}" ${type === entry.type ? 'selected' : ''}>${type}</option>`)
+            .join('');
+        
+        this.ui.form.innerHTML = `
+            <div class="form-group">
+                <label>Name</label>
+                <div class="form-fields"><input type="text" data-field="name" value="${escape(entry.name)}"></div>
+            </div>
+            <div class="form-group">
+                <label>Regex</label>
+                <div class="form-fields">
+                    <input type="text" data-field="regex" value="${escape(entry.regex)}" placeholder="DC (\\d+) Crafting to repair">
+                    <input type="text" data-field="flags" value="${escape(entry.flags)}" title="Regex flags (i, m, s, u)" class="rollconverter-custom-pattern-flags">
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Type</label>
+                <div class="form-fields">
+                    <select data-field="type">${typeOptions}</select>
+                    <label>Priority</label>
+                    <input type="number" data-field="priority" value="${escape(entry.priority)}">
+                </div>
+            </div>
+            <div class="form-group stacked">
+                <label>Parameters</label>
+                <textarea data-field="parameters" rows="4">${escape(entry.parameters)}</textarea>
+                <p class="notes">JSON object. Use $1, $&lt;name&gt; or $0 for capture groups, e.g. {"checkType": "crafting", "dcMethod": "static", "dc": "$1"}. Higher priority wins when matches overlap; built-in patterns use 30-150.</p>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" data-field="enabled" ${entry.enabled ? 'checked' : ''}> Enabled</label>
+                <div class="form-fields">
+                    <button type="button" id="custom-pattern-delete" class="rollconverter-control-button">Delete Pattern</button>
+                </div>
+            </div>
+        `;
+        
+        this.ui.form.querySelectorAll('[data-field]').forEach(input => {
+            const eventName = input.type === 'checkbox' || input.tagName === 'SELECT' ? 'change' : 'input';
+            input.addEventListener(eventName, () => {
+                const field = input.dataset.field;
+                entry[field] = input.type === 'checkbox' ? input.checked : input.value;
+                if (field === 'name' || field === 'type' || field === 'enabled') this.renderList();
+                this.renderResults();
+            });
+        });
+        
+        this.ui.form.querySelector('#custom-pattern-delete').onclick = () => {
+            this.entries.splice(this.selectedIndex, 1);
+            this.selectedIndex = Math.min(this.selectedIndex, this.entries.length - 1);
+            this.renderList();
+            this.renderForm();
+        };
+        
+        this.renderResults();
+    }
+
+    /**
+     * Show what the selected pattern detects in the sample text
+     */
+    renderResults() {
+        const { escape } = CustomPatternDialog;
+        const entry = this.selectedEntry;
+        if (!entry) {
+            this.ui.results.innerHTML = '';
+            return;
+        }
+        
+        const error = CustomPatternManager.validate(entry);
+        if (error) {
+            this.ui.results.innerHTML = `<p class="notes">${escape(error)}</p>`;
+            return;
+        }
+        if (!this.sample) {
+            this.ui.results.innerHTML = '<p class="notes">Enter sample text to test the pattern.</p>';
+            return;
+        }
+        
+        const results = CustomPatternManager.test(entry, this.sample);
+        if (results.length === 0) {
+            this.ui.results.innerHTML = '<p class="notes">No matches.</p>';
+            return;
+        }
+        
+        this.ui.results.innerHTML = results.map(result => `
+            <div class="rollconverter-custom-pattern-result">
+                <div><strong>${escape(result.text)}</strong></div>
+                <code>${escape(JSON.stringify(result.parameters))}</code>
+                <code>${escape(result.error ? `Error: ${result.error}` : result.output)}</code>
+            </div>
+        `).join('');
+    }
+
+    async save() {
+        const invalid = this.entries.find(entry => CustomPatternManager.validate(entry));
+        if (invalid) {
+            ui.notifications.warn(`${invalid.name || 'A pattern'} is not valid and will be skipped until it is fixed.`);
+        }
+        
+        try {
+            await CustomPatternManager.save(this.entries.map(entry => ({ ...entry, priority: Number(entry.priority) })));
+            ui.notifications.info(`Saved ${this.entries.length} custom pattern(s).`);
+            if (this.onSave) this.onSave();
+        } catch (error) {
+            console.error('[PF2e Converter] Error saving custom patterns:', error);
+            ui.notifications.error('Failed to save custom patterns. Check console for details.');
+        }
+    }
+}
+
+// ===================== HOMEBREW =====================
+// Editor for the world's homebrew actions, conditions and damage types (see ConfigManager.registerHomebrew)
+
+class HomebrewDialog {
+    static EXAMPLE = {
+        actions: { 'tail-swipe': { alternates: ['tail swipe', 'tail swipes'] } },
+        conditions: { 'mind-linked': { label: 'Mind-Linked', uuid: 'Item.abcdefghijklmnop', withValues: false } },
+        damageTypes: ['void-fire']
+    };
+
+    /**
+     * @param {Function} onSave - Called after the homebrew config is saved
+     */
+    constructor(onSave = null) {
+        this.onSave = onSave;
+        this.dialog = null;
+        this.ui = {};
+    }
+
+    /**
+     * Open the editor
+     */
+    render() {
+        if (!game.user.isGM) {
+            ui.notifications.warn('Only a GM can edit homebrew.');
+            return;
+        }
+        
+        CSSManager.injectStyles();
+        
+        const { escape } = CustomPatternDialog;
+        const content = `
+            <div class="rollconverter-homebrew">
+                <div class="form-group stacked">
+                    <label>Homebrew (JSON)</label>
+                    <textarea id="homebrew-config" rows="16">${escape(JSON.stringify(ConfigManager.getHomebrewSetting(), null, 2))}</textarea>
+                    <p class="notes">Actions take alternate wordings and variants, conditions link to an Item UUID and damage types are slugs. Modules can add more through the rollconverter.registerHomebrew hook. Example:</p>
+                    <pre class="notes">${escape(JSON.stringify(HomebrewDialog.EXAMPLE, null, 2))}</pre>
+                </div>
+                <div id="homebrew-summary" class="notes"></div>
+            </div>
+        `;
+        
+        this.dialog = new Dialog({
+            title: 'PF2e Inline Roll Converter: Homebrew',
+            content,
+            buttons: {
+                save: { label: 'Save', callback: (html) => this.save(html.find('#homebrew-config').val()) },
+                cancel: { label: 'Cancel' }
+            },
+            default: 'save',
+            render: (html) => {
+                this.ui.summary = html.find('#homebrew-summary')[0];
+                html.find('#homebrew-config').on('input', (event) => this.renderSummary(event.target.value));
+                this.renderSummary(html.find('#homebrew-config').val());
+            }
+        }, {
+            width: 600,
+            height: 600,
+            resizable: true,
+            classes: ['rollconverter-dialog-window']
+        });
+        
+        this.dialog.render(true);
+    }
+
+    /**
+     * Parse the entered config
+     * @param {string} text - JSON text
+     * @returns {Object} - { config } or { error }
+     */
+    parse(text) {
+        try {
+            const config = text.trim() ? JSON.parse(text) : {};
+            if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                return { error: 'Homebrew must be a JSON object.' };
+            }
+            return { config };
+        } catch (error) {
+            return { error: `Invalid JSON: ${error.message}` };
+        }
+    }
+
+    /**
+     * Show what the entered config will add, after normalizing
+     * @param {string} text - JSON text
+     */
+    renderSummary(text) {
+        const { escape } = CustomPatternDialog;
+        const { config, error } = this.parse(text);
+        if (error) {
+            this.ui.summary.innerHTML = escape(error);
+            return;
+        }
+        
+        const homebrew = ConfigManager.normalizeHomebrew(config);
+        const list = (items) => items.length > 0 ? escape(items.join(', ')) : 'none';
+        this.ui.summary.innerHTML = `
+            <div>Actions: ${list(Object.keys(homebrew.actions))}</div>
+            <div>Conditions: ${list(Object.keys(homebrew.conditions))}</div>
+            <div>Damage types: ${list(homebrew.damageTypes)}</div>
+        `;
+    }
+
+    async save(text) {
+        const { config, error } = this.parse(text);
+        if (error) {
+            ui.notifications.error(`Homebrew not saved. ${error}`);
+            return;
+        }
+        
+        try {
+            await ConfigManager.saveHomebrew(config);
+            ui.notifications.info('Saved homebrew.');
+            if (this.onSave) this.onSave();
+        } catch (error) {
+            console.error('[PF2e Converter] Error saving homebrew:', error);
+            ui.notifications.error('Failed to save homebrew. Check console for details.');
+        }
+    }
+}
+
+// ===================== RULE SETTINGS =====================
+// Lets each user turn individual business and formatting rules on or off and adjust
+// rule-specific settings. Choices are kept in a flag on the user.
+
+// Stores the current user's rule choices
+class RuleSettingsManager {
+    static FLAG_KEY = 'rollconverterRuleSettings';
+    static _settings = {}; // Stays empty outside Foundry, so every rule keeps its defaults
+
+    /**
+     * Read the current user's choices
+     * @returns {Object} - { [rule class name]: { enabled, settings } }
+     */
+    static load() {
+        this._settings = foundry.utils.deepClone(game.user.getFlag('world', this.FLAG_KEY) || {});
+        return this._settings;
+    }
+
+    static getSettings() {
+        return this._settings;
+    }
+
+    /**
+     * Save the current user's choices
+     * @param {Object} settings - { [rule class name]: { enabled, settings } }
+     */
+    static async save(settings) {
+        this._settings = settings;
+        // Unset first so rules dropped from the choices don't survive the flag merge
+        await game.user.unsetFlag('world', this.FLAG_KEY);
+        await game.user.setFlag('world', this.FLAG_KEY, settings);
+    }
+}
+
+// Panel listing every registered rule with its description, priority, switch and settings
+class RuleSettingsDialog {
+    /**
+     * @param {TextProcessor} processor - Processor whose engines list the rules
+     * @param {Function} onSave - Called with the new choices after they are saved
+     */
+    constructor(processor, onSave = null) {
+        this.processor = processor;
+        this.onSave = onSave;
+        this.dialog = null;
+    }
+
+    /**
+     * Render one engine's rules as a table
+     * @param {string} title - Section title
+     * @param {Array} rules - Result of the engine's getRulesInfo()
+     * @returns {string} - HTML
+     */
+    renderRules(title, rules) {
+        const rows = rules.map(rule => {
+            const settings = rule.settings.map(setting => {
+                const options = setting.options.map(option => `
+                    <label>
+                        <input type="checkbox" data-rule="${rule.name}" data-setting="${setting.id}" value="${option}" ${setting.value.includes(option) ? 'checked' : ''}>
+                        ${option}
+                    </label>
+                `).join('');
+                return `<div class="rollconverter-rule-setting"><span>${setting.label}:</span> ${options}</div>`;
+            }).join('');
+            
+            return `
+                <tr>
+                    <td><input type="checkbox" data-rule-enabled="${rule.name}" ${rule.enabled ? 'checked' : ''}></td>
+                    <td><strong>${rule.name}</strong><div class="notes">${rule.description}</div>${settings}</td>
+                    <td>${rule.priority}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        return `
+            <h3>${title}</h3>
+            <table class="rollconverter-rules-table">
+                <thead><tr><th>On</th><th>Rule</th><th>Priority</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Open the panel
+     */
+    render() {
+        CSSManager.injectStyles();
+        
+        const content = `
+            <div class="rollconverter-rules">
+                ${this.renderRules('Business Rules', this.processor.businessRules.getRulesInfo())}
+                ${this.renderRules('Formatting Rules', this.processor.formattingRules.getRulesInfo())}
+                <p class="notes">Rules run from highest to lowest priority. Your choices are saved for your user only.</p>
+            </div>
+        `;
+        
+        this.dialog = new Dialog({
+            title: 'PF2e Inline Roll Converter: Rules',
+            content,
+            buttons: {
+                save: { label: 'Save', callback: (html) => this.save(this.readSettings(html)) },
+                reset: { label: 'Reset to Defaults', callback: () => this.save({}) },
+                cancel: { label: 'Cancel' }
+            },
+            default: 'save'
+        }, {
+            width: 600,
+            height: 600,
+            resizable: true,
+            classes: ['rollconverter-dialog-window']
+        });
+        
+        this.dialog.render(true);
+    }
+
+    /**
+     * Collect the choices from the form
+     * @param {Object} html - jQuery object containing the dialog HTML
+     * @returns {Object} - { [rule class name]: { enabled, settings } }
+     */
+    readSettings(html) {
+        const settings = {};
+        
+        html.find('[data-rule-enabled]').each((index, checkbox) => {
+            settings[checkbox.dataset.ruleEnabled] = { enabled: checkbox.checked, settings: {} };
+        });
+        
+        html.find('[data-setting]').each((index, checkbox) => {
+            const ruleSettings = settings[checkbox.dataset.rule].settings;
+            const values = ruleSettings[checkbox.dataset.setting] || (ruleSettings[checkbox.dataset.setting] = []);
+            if (checkbox.checked) values.push(checkbox.value);
+        });
+        
+        return settings;
+    }
+
+    async save(settings) {
+        try {
+            await RuleSettingsManager.save(settings);
+            ui.notifications.info('Saved rule settings.');
+            if (this.onSave) this.onSave(settings);
+        } catch (error) {
+            console.error('[PF2e Converter] Error saving rule settings:', error);
+            ui.notifications.error('Failed to save rule settings. Check console for details.');
+        }
+    }
+}
+
+// ===================== STAT BLOCK IMPORT =====================
+// Parses whole pasted creature and spell stat blocks into PF2e NPC actors and spell items.
+// Parsing and document data are headless; only createActor and createItem need Foundry.
+
+// Reads creature stat blocks ("Goblin Warrior Creature -1 ...") into structured data
+class CreatureStatBlockParser {
+    static RARITIES = ['common', 'uncommon', 'rare', 'unique'];
+    static SIZES = { tiny: 'tiny', small: 'sm', medium: 'med', large: 'lg', huge: 'huge', gargantuan: 'grg' };
+    static ALIGNMENTS = ['lg', 'ng', 'cg', 'ln', 'n', 'cn', 'le', 'ne', 'ce'];
+    static TRADITIONS = ['arcane', 'divine', 'occult', 'primal'];
+    static CASTING_TYPES = ['innate', 'prepared', 'spontaneous', 'focus'];
+
+    // Action glyphs as they appear in copied text, mapped to PF2e action types and counts
+    static ACTION_GLYPHS = {
+        '[one-action]': { type: 'action', count: 1 },
+        '[two-actions]': { type: 'action', count: 2 },
+        '[three-actions]': { type: 'action', count: 3 },
+        '[reaction]': { type: 'reaction', count: null },
+        '[free-action]': { type: 'free', count: null },
+        '◆◆◆': { type: 'action', count: 3 },
+        '◆◆': { type: 'action', count: 2 },
+        '◆': { type: 'action', count: 1 },
+        '⬲': { type: 'reaction', count: null },
+        '◇': { type: 'free', count: null }
+    };
+
+    // Words that start an ability's description rather than continue its name
+    static DESCRIPTION_STARTERS = [
+        'a', 'an', 'the', 'this', 'that', 'these', 'its', 'it', 'each', 'when', 'whenever', 'if',
+        'while', 'as', 'once', 'until', 'any', 'all', 'creatures', 'trigger', 'requirements',
+        'frequency', 'effect', 'range', 'targets', 'saving'
+    ];
+
+    // Lines that start these keywords are stat lines rather than abilities
+    static STAT_LINE_REGEX = /^(?:Perception|Languages|Skills|Str|Items|AC|HP|Speed|Melee|Ranged)\b/;
+    static SPELL_LINE_REGEX = /^(Arcane|Divine|Occult|Primal)\s+(Innate|Prepared|Spontaneous|Focus)\s+Spells\s+DC\s+(\d+)(?:\s*,\s*attack\s+([+-]\d+))?\s*(?:;\s*(.*))?$/i;
+
+    static get GLYPH_REGEX_SOURCE() {
+        return Object.keys(this.ACTION_GLYPHS)
+            .map(glyph => glyph.replace(/[[\]-]/g, '\\$&'))
+            .join('|');
+    }
+
+    /**
+     * Parse a creature stat block
+     * @param {string} text - Stat block as plain text, one entry per line
+     * @returns {Object} - Parsed creature; fields that weren't found keep their defaults
+     */
+    static parse(text) {
+        const creature = {
+            name: '',
+            level: 0,
+            rarity: 'common',
+            size: 'med',
+            traits: [],
+            perception: { mod: 0, senses: [], details: '' },
+            languages: [],
+            languageDetails: '',
+            skills: {},
+            lore: [],
+            attributes: { str: 0, dex: 0, con: 0, int: 0, wis: 0, cha: 0 },
+            items: [],
+            ac: { value: null, details: '' },
+            saves: { fortitude: 0, reflex: 0, will: 0 },
+            saveDetails: '',
+            hp: { value: null, details: '' },
+            immunities: [],
+            resistances: [],
+            weaknesses: [],
+            speed: { land: 0, other: [], details: '' },
+            strikes: [],
+            spellcasting: [],
+            abilities: []
+        };
+
+        const lines = this.joinLines(text);
+        if (lines.length === 0) return creature;
+
+        const header = lines[0].match(/^(.+?)\s+(?:Creature|Level)\s+(-?\d+)$/i);
+        creature.name = (header ? header[1] : lines[0]).trim();
+        creature.level = header ? parseInt(header[2]) : 0;
+
+        // Abilities are interaction abilities until the AC line, defensive until Speed and offensive after
+        let category = 'interaction';
+        let seenPerception = false;
+
+        for (const line of lines.slice(1)) {
+            let match;
+            if ((match = line.match(/^Perception\s+([+-]\d+)\s*(?:[;,]\s*(.*))?$/i))) {
+                seenPerception = true;
+                creature.perception.mod = parseInt(match[1]);
+                this.parseSenses(match[2] || '', creature.perception);
+            } else if (!seenPerception) {
+                this.parseTraitLine(line, creature);
+            } else if ((match = line.match(/^Languages\s+(.*)$/))) {
+                const [languages, ...details] = match[1].split(';');
+                creature.languages = this.splitList(languages).map(language => InlineAutomation.toSlug(language));
+                creature.languageDetails = details.join(';').trim();
+            } else if ((match = line.match(/^Skills\s+(.*)$/))) {
+                this.parseSkills(match[1], creature);
+            } else if (/^Str\s+[+-]?\d/.test(line)) {
+                for (const [, attribute, value] of line.matchAll(/\b(Str|Dex|Con|Int|Wis|Cha)\s+([+-]?\d+)/gi)) {
+                    creature.attributes[attribute.toLowerCase()] = parseInt(value);
+                }
+            } else if ((match = line.match(/^Items\s+(.*)$/))) {
+                creature.items = this.splitList(match[1]);
+            } else if ((match = line.match(/^AC\s+(\d+)\s*(?:\(([^)]*)\))?\s*[;,]?\s*(.*)$/))) {
+                category = 'defensive';
+                this.parseDefenses(match, creature);
+            } else if ((match = line.match(/^HP\s+(\d+)\s*[;,]?\s*(.*)$/))) {
+                creature.hp.value = parseInt(match[1]);
+                this.parseHitPointDetails(match[2], creature);
+            } else if ((match = line.match(/^Speed\s+(.*)$/))) {
+                category = 'offensive';
+                this.parseSpeeds(match[1], creature.speed);
+            } else if (/^(?:Melee|Ranged)\b/.test(line)) {
+                const strike = this.parseStrike(line);
+                if (strike) creature.strikes.push(strike);
+            } else if ((match = line.match(this.SPELL_LINE_REGEX))) {
+                creature.spellcasting.push(this.parseSpellcasting(match));
+            } else {
+                const ability = this.parseAbility(line, category);
+                if (ability) creature.abilities.push(ability);
+            }
+        }
+
+        return creature;
+    }
+
+    /**
+     * Split the text into entries, joining lines that were wrapped by the source
+     * @param {string} text - Raw stat block text
+     * @returns {Array} - One string per stat line or ability
+     */
+    static joinLines(text) {
+        const entries = [];
+        let previousIsStatLine = false;
+
+        for (const rawLine of (text || '').split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            const isStatLine = entries.length === 0 ||
+                this.STAT_LINE_REGEX.test(line) ||
+                this.SPELL_LINE_REGEX.test(line);
+            const previous = entries[entries.length - 1];
+
+            let continues = false;
+            if (previous !== undefined && !isStatLine) {
+                if (!/^[A-Z]/.test(line) || /[,;:(\-–]$/.test(previous)) {
+                    continues = true;
+                } else if (!previousIsStatLine) {
+                    // Wrapped ability text continues until a sentence ends
+                    continues = !/[.!?)\]]$/.test(previous);
+                }
+            }
+
+            if (continues) {
+                entries[entries.length - 1] = `${previous} ${line}`;
+            } else {
+                entries.push(line);
+                previousIsStatLine = isStatLine;
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Split a comma separated list, ignoring commas inside parentheses
+     * @param {string} text - List text
+     * @returns {Array} - Trimmed, non-empty entries
+     */
+    static splitList(text) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+        for (const char of text || '') {
+            if (char === '(') depth++;
+            if (char === ')') depth = Math.max(0, depth - 1);
+            if (char === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+        return parts.map(part => part.trim()).filter(part => part !== '');
+    }
+
+    static parseTraitLine(line, creature) {
+        for (const word of line.split(/[\s,]+/).filter(Boolean)) {
+            const slug = InlineAutomation.toSlug(word);
+            if (this.RARITIES.includes(slug)) {
+                creature.rarity = slug;
+            } else if (this.SIZES[slug]) {
+                creature.size = this.SIZES[slug];
+            } else if (!this.ALIGNMENTS.includes(slug) && slug) {
+                creature.traits.push(slug);
+            }
+        }
+    }
+
+    /**
+     * Parse senses like "darkvision, scent (imprecise) 30 feet"
+     * @param {string} text - Text after the Perception modifier
+     * @param {Object} perception - Perception data to fill in
+     */
+    static parseSenses(text, perception) {
+        const [senses, ...details] = text.split(';');
+        perception.details = details.join(';').trim();
+
+        for (const sense of this.splitList(senses)) {
+            const match = sense.match(/^([A-Za-z][A-Za-z' -]*?)\s*(?:\((precise|imprecise|vague)\))?\s*(?:(\d+)\s*(?:feet|foot|ft\.?))?$/i);
+            if (!match) continue;
+            const entry = { type: InlineAutomation.toSlug(match[1]) };
+            if (match[2]) entry.acuity = match[2].toLowerCase();
+            if (match[3]) entry.range = parseInt(match[3]);
+            perception.senses.push(entry);
+        }
+    }
+
+    static parseSkills(text, creature) {
+        for (const entry of this.splitList(text)) {
+            const match = entry.match(/^([A-Za-z][A-Za-z' -]*?)\s+([+-]\d+)\s*(?:\(([^)]*)\))?$/);
+            if (!match) continue;
+
+            const name = match[1].trim();
+            const slug = InlineAutomation.toSlug(name);
+            if (ConfigManager.SKILLS.slugs.includes(slug)) {
+                creature.skills[slug] = { mod: parseInt(match[2]), note: match[3] || '' };
+            } else if (/\blore$/i.test(name)) {
+                creature.lore.push({ name, mod: parseInt(match[2]) });
+            }
+        }
+    }
+
+    /**
+     * Parse the AC and saves line: "AC 16; Fort +5, Ref +7, Will +3; +1 status to all saves vs. magic"
+     * @param {Array} match - Match of the AC line
+     * @param {Object} creature - Creature to fill in
+     */
+    static parseDefenses(match, creature) {
+        creature.ac.value = parseInt(match[1]);
+        creature.ac.details = match[2] || '';
+
+        const saveNames = { fort: 'fortitude', ref: 'reflex', will: 'will' };
+        const rest = match[3] || '';
+        for (const [, save, value] of rest.matchAll(/\b(Fort|Ref|Will)\s+([+-]\d+)/gi)) {
+            creature.saves[saveNames[save.toLowerCase()]] = parseInt(value);
+        }
+
+        const saveDetails = rest.split(';').slice(1).join(';').trim();
+        creature.saveDetails = saveDetails;
+    }
+
+    /**
+     * Parse what follows the HP: "regeneration 10; Immunities fire; Resistances physical 5 (except silver)"
+     * @param {string} text - Text after the HP value
+     * @param {Object} creature - Creature to fill in
+     */
+    static parseHitPointDetails(text, creature) {
+        const details = [];
+
+        for (const part of text.split(';').map(part => part.trim()).filter(Boolean)) {
+            let match;
+            if ((match = part.match(/^Immunities\s+(.*)$/i))) {
+                creature.immunities = this.splitList(match[1]).map(type => ({ type: InlineAutomation.toSlug(type) }));
+            } else if ((match = part.match(/^Resistances\s+(.*)$/i))) {
+                creature.resistances = this.parseIWRValues(match[1]);
+            } else if ((match = part.match(/^Weaknesses\s+(.*)$/i))) {
+                creature.weaknesses = this.parseIWRValues(match[1]);
+            } else {
+                details.push(part);
+            }
+        }
+
+        creature.hp.details = details.join('; ');
+    }
+
+    /**
+     * Parse resistance or weakness entries like "fire 5, physical 5 (except silver)"
+     * @param {string} text - List text
+     * @returns {Array} - Entries of { type, value, exceptions }
+     */
+    static parseIWRValues(text) {
+        return this.splitList(text)
+            .map(entry => entry.match(/^(.+?)\s+(\d+)\s*(?:\((?:except\s+)?([^)]*)\))?$/i))
+            .filter(Boolean)
+            .map(match => ({
+                type: InlineAutomation.toSlug(match[1]),
+                value: parseInt(match[2]),
+                exceptions: match[3] ? this.splitList(match[3].replace(/\s+or\s+/gi, ',')).map(type => InlineAutomation.toSlug(type)) : []
+            }));
+    }
+
+    /**
+     * Parse speeds like "25 feet, fly 40 feet; air walk"
+     * @param {string} text - Text after "Speed"
+     * @param {Object} speed - Speed data to fill in
+     */
+    static parseSpeeds(text, speed) {
+        const [speeds, ...details] = text.split(';');
+        speed.details = details.join(';').trim();
+
+        for (const entry of this.splitList(speeds)) {
+            const match = entry.match(/^(?:([A-Za-z]+)\s+)?(\d+)\s*(?:feet|foot|ft\.?)/i);
+            if (!match) continue;
+            const type = (match[1] || 'land').toLowerCase();
+            if (type === 'land') {
+                speed.land = parseInt(match[2]);
+            } else {
+                speed.other.push({ type, value: parseInt(match[2]) });
+            }
+        }
+    }
+
+    /**
+     * Parse a Strike: "Melee [one-action] jaws +18 (agile, reach 10 feet), Damage 2d8+9 piercing plus Grab"
+     * @param {string} line - Strike line
+     * @returns {Object|null} - Strike with name, type, bonus, traits, damage and effects
+     */
+    static parseStrike(line) {
+        const match = line.match(new RegExp(
+            `^(Melee|Ranged)\\s*(?:${this.GLYPH_REGEX_SOURCE})?\\s*(${StrikePattern.NAME_PATTERN})\\s+([+-]\\d+)` +
+            `(?:\\s*\\[[^\\]]*\\])?\\s*(?:\\(([^)]*)\\))?\\s*,?\\s*(?:Damage\\s+(.*))?$`, 'i'
+        ));
+        if (!match) return null;
+
+        const strike = {
+            name: match[2].trim().replace(/^./, char => char.toUpperCase()),
+            type: match[1].toLowerCase(),
+            bonus: parseInt(match[3]),
+            traits: StrikePattern.parseTraits(match[4] || ''),
+            damage: [],
+            effects: []
+        };
+
+        for (const part of (match[5] || '').split(/\s+(?:plus|and)\s+/i).map(part => part.trim()).filter(Boolean)) {
+            const damage = part.match(/^([\dd+\-\s()]+?)\s+(?:(persistent|precision|splash)\s+)?([a-z]+)(?:\s+damage)?$/i);
+            const damageType = damage && InlineAutomation.toSlug(damage[3]);
+            if (damage && ConfigManager.ALL_DAMAGE_TYPES.slugs.includes(damageType)) {
+                strike.damage.push({
+                    formula: damage[1].replace(/\s+/g, ''),
+                    type: LegacyConversionManager.convertLegacyDamageType(damageType),
+                    category: damage[2] ? damage[2].toLowerCase() : null
+                });
+            } else {
+                strike.effects.push(InlineAutomation.toSlug(part));
+            }
+        }
+
+        return strike;
+    }
+
+    /**
+     * Parse a spellcasting line into its entry and spells by rank
+     * @param {Array} match - Match of SPELL_LINE_REGEX
+     * @returns {Object} - { tradition, type, dc, attack, spells: [{ name, rank, constant }] }
+     */
+    static parseSpellcasting(match) {
+        const entry = {
+            tradition: match[1].toLowerCase(),
+            type: match[2].toLowerCase(),
+            dc: parseInt(match[3]),
+            attack: match[4] ? parseInt(match[4]) : null,
+            spells: []
+        };
+
+        for (const group of (match[5] || '').split(';').map(group => group.trim()).filter(Boolean)) {
+            const ranked = group.match(/^(Cantrips|Constant)?\s*\(?(\d+)(?:st|nd|rd|th)\)?\s*(?:\(\d+\s+slots?\)\s*)?(.*)$/i);
+            if (!ranked) continue;
+
+            for (const spell of this.splitList(ranked[3])) {
+                const name = spell.replace(/\s*\([^)]*\)/g, '').trim();
+                if (!name) continue;
+                entry.spells.push({
+                    name,
+                    rank: parseInt(ranked[2]),
+                    cantrip: /^cantrips$/i.test(ranked[1] || ''),
+                    constant: /^constant$/i.test(ranked[1] || '')
+                });
+            }
+        }
+
+        return entry;
+    }
+
+    /**
+     * Parse an ability: "Goblin Scuttle [reaction] Trigger A goblin ally ends a move action..."
+     * @param {string} line - Ability text
+     * @param {string} category - 'interaction', 'defensive' or 'offensive'
+     * @returns {Object|null} - Ability with name, action type and count, traits and description
+     */
+    static parseAbility(line, category) {
+        const ability = { name: '', actionType: 'passive', actions: null, traits: [], description: '', category };
+
+        const glyphMatch = line.match(new RegExp(`^([^\\[◆◇⬲(]+?)\\s*(${this.GLYPH_REGEX_SOURCE})`));
+        const traitsMatch = line.match(/^([A-Z][^(]*?)\s*\(([^)]*)\)/);
+        let rest;
+
+        if (glyphMatch) {
+            ability.name = glyphMatch[1].trim();
+            const glyph = this.ACTION_GLYPHS[glyphMatch[2]];
+            ability.actionType = glyph.type;
+            ability.actions = glyph.count;
+            rest = line.slice(glyphMatch[0].length);
+        } else if (traitsMatch && !/[.;]/.test(traitsMatch[1]) && traitsMatch[1].split(/\s+/).length <= 5) {
+            ability.name = traitsMatch[1].trim();
+            rest = line.slice(traitsMatch[1].length);
+        } else {
+            const words = line.split(/\s+/);
+            const nameWords = [];
+            for (const word of words) {
+                const bare = word.replace(/[^A-Za-z'’-]/g, '');
+                if (!/^[A-Z]/.test(word) || this.DESCRIPTION_STARTERS.includes(bare.toLowerCase())) break;
+                nameWords.push(word);
+            }
+            if (nameWords.length === 0) return null;
+            ability.name = nameWords.join(' ');
+            rest = line.slice(line.indexOf(nameWords[nameWords.length - 1]) + nameWords[nameWords.length - 1].length);
+        }
+
+        const traits = rest.match(/^\s*\(([^)]*)\)/);
+        if (traits) {
+            ability.traits = StrikePattern.parseTraits(traits[1]).filter(trait => /[a-z]/.test(trait));
+            rest = rest.slice(traits[0].length);
+        }
+
+        ability.description = rest.replace(/^[\s;,.]+/, '').trim();
+        return ability.name ? ability : null;
+    }
+
+    /**
+     * Generate a Foundry-style document ID
+     * @returns {string} - 16 random alphanumeric characters
+     */
+    static randomId() {
+        if (globalThis.foundry?.utils?.randomID) return foundry.utils.randomID();
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+        return Array.from({ length: 16 }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
+    }
+
+    /**
+     * Build PF2e npc actor data from a parsed creature. Ability descriptions are run through
+     * the converter so their rolls, checks and conditions are automated.
+     * Spells are left on each spellcasting entry for createActor to resolve.
+     * @param {Object} creature - Result of parse()
+     * @returns {Object} - Actor data for Actor.create
+     */
+    static toActorData(creature) {
+        const abilities = {};
+        for (const [attribute, mod] of Object.entries(creature.attributes)) {
+            abilities[attribute] = { mod };
+        }
+
+        const skills = {};
+        for (const [skill, { mod, note }] of Object.entries(creature.skills)) {
+            skills[skill] = { base: mod, ...(note ? { note } : {}) };
+        }
+
+        const saves = {};
+        for (const [save, value] of Object.entries(creature.saves)) {
+            saves[save] = { value, saveDetail: '' };
+        }
+
+        const items = [
+            ...creature.strikes.map(strike => this.strikeToItem(strike)),
+            ...creature.abilities.map(ability => this.abilityToItem(ability)),
+            ...creature.lore.map(lore => ({ name: lore.name, type: 'lore', system: { mod: { value: lore.mod } } })),
+            ...creature.spellcasting.map(entry => this.spellcastingToItem(entry))
+        ];
+
+        return {
+            name: creature.name || 'Imported Creature',
+            type: 'npc',
+            system: {
+                abilities,
+                attributes: {
+                    ac: { value: creature.ac.value ?? 10, details: creature.ac.details },
+                    hp: { value: creature.hp.value ?? 1, max: creature.hp.value ?? 1, details: creature.hp.details },
+                    speed: { value: creature.speed.land, otherSpeeds: creature.speed.other, details: creature.speed.details },
+                    immunities: creature.immunities,
+                    resistances: creature.resistances,
+                    weaknesses: creature.weaknesses.map(({ type, value }) => ({ type, value })),
+                    allSaves: { value: creature.saveDetails }
+                },
+                details: {
+                    level: { value: creature.level },
+                    languages: { value: creature.languages, details: creature.languageDetails }
+                },
+                perception: {
+                    mod: creature.perception.mod,
+                    senses: creature.perception.senses,
+                    details: creature.perception.details
+                },
+                saves,
+                skills,
+                traits: {
+                    value: creature.traits,
+                    rarity: creature.rarity,
+                    size: { value: creature.size }
+                }
+            },
+            items
+        };
+    }
+
+    static strikeToItem(strike) {
+        const damageRolls = {};
+        for (const damage of strike.damage) {
+            damageRolls[this.randomId()] = { damage: damage.formula, damageType: damage.type, category: damage.category };
+        }
+
+        return {
+            name: strike.name,
+            type: 'melee',
+            system: {
+                bonus: { value: strike.bonus },
+                damageRolls,
+                traits: { value: strike.traits },
+                attackEffects: { value: strike.effects }
+            }
+        };
+    }
+
+    static abilityToItem(ability) {
+        const description = ability.description
+            ? convert(ability.description, { mode: TextProcessor.INPUT_MODES.TEXT }).text
+            : '';
+
+        return {
+            name: ability.name,
+            type: 'action',
+            system: {
+                actionType: { value: ability.actionType },
+                actions: { value: ability.actions },
+                category: ability.category,
+                traits: { value: ability.traits },
+                description: { value: description }
+            }
+        };
+    }
+
+    static spellcastingToItem(entry) {
+        const tradition = entry.tradition.charAt(0).toUpperCase() + entry.tradition.slice(1);
+        const type = entry.type.charAt(0).toUpperCase() + entry.type.slice(1);
+
+        return {
+            _id: this.randomId(),
+            name: `${tradition} ${type} Spells`,
+            type: 'spellcastingEntry',
+            system: {
+                tradition: { value: entry.tradition },
+                prepared: { value: entry.type },
+                spelldc: { value: entry.attack ?? entry.dc - 10, dc: entry.dc }
+            },
+            // Not part of the item; createActor turns these into spell items
+            spells: entry.spells
+        };
+    }
+
+    /**
+     * Create the NPC actor, adding the spells and items that can be found in the compendium index
+     * @param {Object} creature - Result of parse()
+     * @returns {Promise<Actor>} - The created actor
+     */
+    static async createActor(creature) {
+        const actorData = this.toActorData(creature);
+        const missing = [];
+
+        for (const entry of actorData.items.filter(item => item.type === 'spellcastingEntry')) {
+            for (const spell of entry.spells) {
+                const source = await this.resolveDocument(spell.name, ['spell']);
+                if (!source) {
+                    missing.push(spell.name);
+                    continue;
+                }
+                const location = { value: entry._id };
+                if (!spell.cantrip && source.system?.level?.value !== spell.rank) {
+                    location.heightenedLevel = spell.rank;
+                }
+                actorData.items.push({ ...source, system: { ...source.system, location } });
+            }
+            delete entry.spells;
+        }
+
+        for (const name of creature.items) {
+            const source = await this.resolveDocument(name, ['weapon', 'armor', 'shield', 'equipment', 'consumable', 'treasure', 'backpack']);
+            if (source) {
+                actorData.items.push(source);
+            } else {
+                missing.push(name);
+            }
+        }
+
+        if (missing.length > 0) {
+            console.warn('[PF2e Converter] Stat block import could not find:', missing);
+            ui.notifications.warn(`Couldn't find ${missing.length} spell(s) or item(s) in the compendium index. See the console for the list.`);
+        }
+
+        return Actor.create(actorData, { keepId: true });
     }
 
-    applyGlobalLegacyConditionConversions(result) {
-        LegacyConversionManager.getLegacyConditions().forEach(legacyCondition => {
-            const regex = new RegExp(`\\b${legacyCondition}\\b`, 'gi');
-            result = result.replace(regex, (match) => {
-                return LegacyConversionManager.convertLegacyCondition(match);
-            });
-        });
-        return result;
+    /**
+     * Look up a document by name in the compendium index and get its data
+     * @param {string} name - Document name
+     * @param {Array} types - Acceptable document types
+     * @returns {Promise<Object|null>} - Document data without its ID, or null if not found
+     */
+    static async resolveDocument(name, types) {
+        const candidate = ConfigManager.findDocuments(name).find(entry => types.includes(entry.type));
+        if (!candidate) return null;
+
+        try {
+            const document = await fromUuid(candidate.uuid);
+            if (!document) return null;
+            const data = document.toObject();
+            delete data._id;
+            return data;
+        } catch (error) {
+            console.warn(`[PF2e Converter] Could not load ${candidate.uuid}:`, error);
+            return null;
+        }
     }
 }
 
-/**
- * Create a live preview with active inline rolls
- * @param {string} text - Text with inline roll syntax
- * @param {HTMLElement} container - Container to render preview in
- */
-async function createLivePreview(text, container) {
-    if (!text || text.trim() === '') {
-        container.innerHTML = '<em class="rollconverter-output-placeholder"></em>';
-        return;
+// Reads spell stat blocks ("Fireball Spell 3", traits, Traditions, Range, Area, Defense ...) into spell item data
+class SpellStatBlockParser {
+    static AREA_TYPES = ['burst', 'cone', 'emanation', 'line', 'square', 'cube', 'cylinder'];
+    static SAVE_NAMES = { fort: 'fortitude', fortitude: 'fortitude', ref: 'reflex', reflex: 'reflex', will: 'will' };
+
+    // Header entries, keyed by the label that starts them
+    static HEADER_FIELDS = {
+        traditions: 'traditions', tradition: 'traditions',
+        cast: 'cast',
+        range: 'range',
+        area: 'area',
+        targets: 'targets', target: 'targets',
+        defense: 'defense', 'saving throw': 'defense',
+        duration: 'duration',
+        trigger: 'trigger',
+        requirements: 'requirements',
+        cost: 'cost'
+    };
+
+    static get HEADER_FIELD_REGEX() {
+        const labels = Object.keys(this.HEADER_FIELDS)
+            .sort((a, b) => b.length - a.length)
+            .map(label => label.replace(' ', '\\s+'))
+            .join('|');
+        return new RegExp(`^(${labels})\\b\\s*(.*)$`, 'i');
     }
 
-    try {
-        const htmlText = text;
-        // const htmlText = text.replace(/\n/g, '<br>');
+    /**
+     * Parse a spell stat block
+     * @param {string} text - Spell as plain text: the header lines, then the description
+     * @returns {Object} - Parsed spell; body is the description text after the header
+     */
+    static parse(text) {
+        const spell = {
+            name: '',
+            rank: 1,
+            traits: [],
+            rarity: 'common',
+            traditions: [],
+            time: '',
+            range: '',
+            area: null,
+            targets: '',
+            defense: null,
+            duration: { value: '', sustained: false },
+            trigger: '',
+            requirements: '',
+            cost: '',
+            body: ''
+        };
 
-        const processedHTML = await TextEditor.enrichHTML(htmlText, {
-            async: true,
-            rollData: {},
-            relativeTo: null
-        });
+        const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (lines.length === 0) return spell;
 
-        const previewContent = `
-            <div class="rollconverter-preview-content">
-                ${processedHTML}
-            </div>
-        `;
+        const header = lines[0].match(/^(.+?)\s+(Cantrip|Spell|Focus|Ritual)\s+(\d{1,2})$/i);
+        spell.name = (header ? header[1] : lines[0]).trim();
+        if (header) {
+            spell.rank = parseInt(header[3]);
+            const kind = header[2].toLowerCase();
+            if (kind !== 'spell') spell.traits.push(kind);
+        }
 
-        container.innerHTML = previewContent;
+        let index = 1;
+        // The trait line is the only header line without a label
+        if (lines[index] && !this.HEADER_FIELD_REGEX.test(lines[index])) {
+            const looksLikeTraits = lines[index].split(/\s+/).every(word => /^[A-Z]/.test(word)) &&
+                !/[.!?]$/.test(lines[index]);
+            if (looksLikeTraits) {
+                this.parseTraitLine(lines[index], spell);
+                index++;
+            }
+        }
 
-        // Add click handlers to the inline rolls
-        const inlineRolls = container.querySelectorAll('.inline-roll');
-        inlineRolls.forEach(roll => {
-            roll.style.cursor = 'pointer';
-            roll.addEventListener('click', async (event) => {
-                event.preventDefault();
-                event.stopPropagation();
-                
-                try {
-                    const formula = roll.dataset.formula || roll.innerText;
-                    const rollData = {};
-                    
-                    const actualRoll = new Roll(formula, rollData);
-                    await actualRoll.evaluate();
-                    
-                    actualRoll.toMessage({
-                        flavor: "PF2e Converter Preview Roll",
-                        speaker: ChatMessage.getSpeaker()
-                    });
-                    
-                } catch (rollError) {
-                    ui.notifications.warn(`Could not execute roll: ${rollError.message}`);
-                }
-            });
-        });
+        for (; index < lines.length; index++) {
+            const line = lines[index];
+            if (/^-{3,}$/.test(line)) {
+                index++;
+                break;
+            }
 
-    } catch (error) {
-        container.innerHTML = `<em style="color: #d32f2f;">Error creating preview: ${error.message}</em>`;
+            const parts = line.split(';').map(part => part.trim()).filter(Boolean);
+            const fields = parts.map(part => part.match(this.HEADER_FIELD_REGEX));
+            if (fields.some(field => !field)) break;
+
+            for (const field of fields) {
+                this.parseField(this.HEADER_FIELDS[field[1].toLowerCase().replace(/\s+/g, ' ')], field[2].trim(), spell);
+            }
+        }
+
+        spell.body = lines.slice(index).join('\n');
+        return spell;
     }
-}
 
-/**
- * Copy text to clipboard
- * @param {string} text - Text to copy
- */
-async function copyToClipboard(text) {
-    try {
-        await navigator.clipboard.writeText(text);
-        ui.notifications.info("Text copied to clipboard.");
-    } catch (error) {
-        ui.notifications.error("Failed to copy text to clipboard.");
+    static parseTraitLine(line, spell) {
+        for (const word of line.split(/[\s,]+/).filter(Boolean)) {
+            const slug = InlineAutomation.toSlug(word);
+            if (CreatureStatBlockParser.RARITIES.includes(slug)) {
+                spell.rarity = slug;
+            } else if (slug && !spell.traits.includes(slug)) {
+                spell.traits.push(slug);
+            }
+        }
     }
-}
 
-/**
- * Create and show the converter dialog
- */
-function showConverterDialog() {
-    // Inject CSS before creating dialog
-    CSSManager.injectStyles();
-    
-    const dialogContent = `
-        <div class="rollconverter-dialog">
-            <div class="rollconverter-main">
-                <fieldset class="rollconverter-fieldset rollconverter-input-section">
-                    <legend>Input Text</legend>
-                    <div class="form-group rollconverter-section-content">
-                        <div class="form-fields">
-                            <textarea 
-                                id="input-text" 
-                                name="inputText" 
-                                placeholder="Paste your spell, ability, or feat description here..."
-                                class="rollconverter-input-textarea"
-                                >${DEFAULT_INPUT}</textarea>
-                        </div>
-                        <p class="notes">Making changes here will clear any modifications made below.</p>
-                    </div>
-                </fieldset>
-                
-                <fieldset class="rollconverter-fieldset rollconverter-output-section">
-                    <legend>Converted Text</legend>
-                    <div class="form-group rollconverter-section-content">
-                        <div class="form-fields">
-                            <div id="output-html" class="rollconverter-output-area rollconverter-output-converted">
-                            </div>
-                        </div>
-                        <p class="notes">Click an inline roll to modify it.</p>
-                    </div>
-                </fieldset>
-                
-                <fieldset class="rollconverter-fieldset rollconverter-preview-section">
-                    <legend>Live Preview</legend>
-                    <div class="form-group rollconverter-section-content">
-                        <div class="form-fields">
-                            <div id="live-preview" class="rollconverter-output-area">
-                                <em class="rollconverter-output-placeholder">Live preview will appear here...</em>
-                            </div>
-                        </div>
-                        <p class="notes">Click inline rolls to test them.</p>
-                    </div>
-                </fieldset>
-            </div>
-            
-            <div class="rollconverter-sidebar">
-                <fieldset class="rollconverter-fieldset rollconverter-modifier-panel">
-                    <legend class="rollconverter-modifier-legend">
-                        <span class="rollconverter-modifier-title">Modifier Panel</span>
-                    </legend>
-                    <div class="rollconverter-modifier-content" id="modifier-panel-content">
-                        <p>Select an element to modify.</p>
-                    </div>
-                </fieldset>
-                
-                <form id="formatting-options-form" class="rollconverter-form">
-                    <!-- Content will be generated by FieldRenderer -->
-                </form>
-                
-                <div class="rollconverter-sidebar-controls">
-                    <button type="button" id="copy-output" class="rollconverter-control-button">Copy Output</button>
-                </div>
-            </div>
-        </div>
-    `;
+    static parseField(field, value, spell) {
+        switch (field) {
+            case 'traditions':
+                spell.traditions = CreatureStatBlockParser.splitList(value)
+                    .map(tradition => tradition.toLowerCase())
+                    .filter(tradition => CreatureStatBlockParser.TRADITIONS.includes(tradition));
+                break;
+            case 'cast':
+                spell.time = this.parseCastTime(value);
+                break;
+            case 'range':
+                spell.range = value;
+                break;
+            case 'area':
+                spell.area = this.parseArea(value);
+                break;
+            case 'targets':
+                spell.targets = value;
+                break;
+            case 'defense':
+                spell.defense = this.parseDefense(value);
+                break;
+            case 'duration': {
+                const sustained = /\bsustained\b/i.test(value);
+                spell.duration = {
+                    value: value.replace(/^sustained\s*(?:up\s+to\s*)?/i, '').trim(),
+                    sustained
+                };
+                break;
+            }
+            default:
+                spell[field] = value;
+        }
+    }
 
-    // Create the converter dialog instance
-    const converterDialog = new ConverterDialog();
+    /**
+     * Turn the casting time into the spell's time value: "[two-actions] somatic, verbal" -> '2',
+     * "[one-action] to [three-actions]" -> '1 to 3', "10 minutes (material)" -> '10 minutes'
+     * @param {string} value - Text after "Cast"
+     * @returns {string} - Time value
+     */
+    static parseCastTime(value) {
+        const glyphs = [...value.matchAll(new RegExp(CreatureStatBlockParser.GLYPH_REGEX_SOURCE, 'g'))]
+            .map(match => CreatureStatBlockParser.ACTION_GLYPHS[match[0]]);
+        if (glyphs.length > 0) {
+            return glyphs.map(glyph => glyph.count ?? glyph.type).join(' to ');
+        }
+        return value.replace(/\s*\([^)]*\)\s*$/, '').split(/[;,]/)[0].trim();
+    }
 
-    const dialog = new Dialog({
-        title: "PF2e Inline Roll Converter",
-        content: dialogContent,
-        buttons: {},
-        render: (html) => {
-            try {
-                converterDialog.initializeUI(html);
-                converterDialog.setupEventHandlers();
-            } catch (error) {
-                console.error('[PF2e Converter] Error in dialog render callback:', error);
-                console.error('[PF2e Converter] Error stack:', error.stack);
-            }
-        },
-        close: () => {
-            // Clean up converter dialog data
-            if (converterDialog) {
-                converterDialog.cleanup();
-            }
-            
-            // Schedule CSS cleanup after dialog window fully closes
-            setTimeout(() => {
-                CSSManager.removeStyles();
-            }, 500); // Small delay to ensure window has closed
+    /**
+     * Parse an area like "20-foot burst" or "60-foot line"
+     * @param {string} value - Text after "Area"
+     * @returns {Object} - { type, value, details }; type is null if the shape isn't recognized
+     */
+    static parseArea(value) {
+        const match = value.match(/^(\d+)[- ](?:foot|feet)(?:[- ]radius)?\s+([a-z]+)/i);
+        const type = match && match[2].toLowerCase();
+        if (!match || !this.AREA_TYPES.includes(type)) {
+            return { type: null, value: null, details: value };
         }
-    }, {
-        width: 1000,
-        height: 700,
-        resizable: true,
-        classes: ["rollconverter-dialog-window"] // Add custom class for additional styling if needed
-    });
-    
-    dialog.render(true);
-}
+        return { type, value: parseInt(match[1]), details: '' };
+    }
 
-// Main execution
-try {
-    // Verify we're in a PF2e game
-    if (game.system.id !== 'pf2e') {
-        console.error('[PF2e Converter] Wrong game system detected:', game.system.id);
-        ui.notifications.error("This macro is designed for the Pathfinder 2e system only.");
-        return;
+    /**
+     * Parse the defense: "basic Reflex", "Will" or "AC"
+     * @param {string} value - Text after "Defense" or "Saving Throw"
+     * @returns {Object|null} - PF2e defense data, or null if it isn't recognized
+     */
+    static parseDefense(value) {
+        if (/^AC\b/i.test(value)) {
+            return { passive: { statistic: 'ac' } };
+        }
+        const match = value.match(/^(basic\s+)?(Fortitude|Fort|Reflex|Ref|Will)\b/i);
+        if (!match) return null;
+        return { save: { statistic: this.SAVE_NAMES[match[2].toLowerCase()], basic: Boolean(match[1]) } };
     }
-    
-    // Verify minimum Foundry version
-    if (!game.version || parseInt(game.version.split('.')[0]) < 12) {
-        console.warn('[PF2e Converter] Foundry version may be too old:', game.version);
-        ui.notifications.warn("This macro is designed for Foundry VTT v12+. Some features may not work properly.");
+
+    /**
+     * Build PF2e spell item data. The body is converted with the spell's rank and defense,
+     * so Heightened scaling starts at the right rank and save checks match the item.
+     * @param {Object} spell - Result of parse()
+     * @returns {Object} - Item data for Item.create
+     */
+    static toItemData(spell) {
+        // Spell items have no trigger field, so reaction spells keep it at the top of the description
+        const body = [spell.trigger && `Trigger ${spell.trigger}`, spell.body].filter(Boolean).join('\n');
+        const description = body
+            ? convert(body, {
+                mode: TextProcessor.INPUT_MODES.TEXT,
+                context: { baseRank: spell.rank, spellDefense: spell.defense }
+            }).text
+            : '';
+
+        return {
+            name: spell.name || 'Imported Spell',
+            type: 'spell',
+            system: {
+                level: { value: spell.rank },
+                traits: { value: spell.traits, rarity: spell.rarity, traditions: spell.traditions },
+                time: { value: spell.time },
+                range: { value: spell.range },
+                area: spell.area,
+                target: { value: spell.targets },
+                defense: spell.defense,
+                duration: spell.duration,
+                requirements: spell.requirements,
+                cost: { value: spell.cost },
+                description: { value: description }
+            }
+        };
+    }
+
+    /**
+     * Create the spell item in the world
+     * @param {Object} spell - Result of parse()
+     * @returns {Promise<Item>} - The created item
+     */
+    static async createItem(spell) {
+        return Item.create(this.toItemData(spell));
     }
-    
-    // Show the converter dialog
-    showConverterDialog();
-    
-} catch (error) {
-    console.error('[PF2e Converter] Error during startup:', error);
-    console.error('[PF2e Converter] Error stack:', error.stack);
-    ui.notifications.error("Failed to start PF2e Inline Roll Converter. Check console for details.");
 }
 
 // ===================== TRAITS INPUT =====================
@@ -7791,4 +13662,85 @@ class TraitsInput {
             .filter(trait => trait && trait.value)
             .map(trait => trait.value);
     }
-}
\ No newline at end of file
+}
+
+// ==================== EXPORTS ====================
+// When loaded as a CommonJS module (e.g. require() from Node) expose the headless API.
+// Inside Foundry there is no `module`, so this is skipped.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        convert,
+        TextProcessor,
+        HtmlTextSegmenter,
+        AutomationAudit,
+        CreatureStatBlockParser,
+        SpellStatBlockParser,
+        PatternDetector,
+        AutomationRegistry,
+        CustomPatternManager,
+        RuleSettingsManager,
+        BasePattern,
+        InlineAutomation,
+        BaseRenderer,
+        BusinessRule,
+        Replacement,
+        ConfigManager,
+        LegacyConversionManager,
+        BusinessRulesEngine,
+        AfflictionParser,
+        FormattingRulesEngine,
+        FormattingRule,
+        DiceExpression,
+        InlineDamage,
+        InlineCheck,
+        InlineCondition,
+        InlineDocumentLink,
+        InlineStrike,
+        InlineTemplate,
+        InlineGenericRoll,
+        InlineAction
+    };
+}
+
+// ==================== MAIN EXECUTION ====================
+// Only runs as a Foundry macro; outside Foundry the file just provides the API above.
+if (typeof game !== 'undefined') {
+    try {
+        // Verify we're in a PF2e game
+        if (game.system.id !== 'pf2e') {
+            console.error('[PF2e Converter] Wrong game system detected:', game.system.id);
+            ui.notifications.error("This macro is designed for the Pathfinder 2e system only.");
+            return;
+        }
+    
+        // Verify minimum Foundry version
+        if (!game.version || parseInt(game.version.split('.')[0]) < 12) {
+            console.warn('[PF2e Converter] Foundry version may be too old:', game.version);
+            ui.notifications.warn("This macro is designed for Foundry VTT v12+. Some features may not work properly.");
+        }
+    
+        // Add "Convert" buttons to Item sheets and journal pages for the rest of the session
+        DocumentIntegration.registerHooks();
+        
+        // Merge homebrew actions, conditions and damage types before any pattern is built
+        ConfigManager.loadHomebrew();
+        ConfigManager.logLiveConfigDiagnostics();
+        
+        // Detect the world's custom patterns alongside the built-in ones
+        CustomPatternManager.load();
+        
+        // Apply this user's rule choices to every processor created from here on
+        RuleSettingsManager.load();
+        
+        // Resolve condition UUIDs and index linkable documents before anything is detected
+        Promise.all([
+            ConfigManager.loadConditionUUIDs(),
+            ConfigManager.loadDocumentIndex()
+        ]).finally(() => showConverterDialog());
+    
+    } catch (error) {
+        console.error('[PF2e Converter] Error during startup:', error);
+        console.error('[PF2e Converter] Error stack:', error.stack);
+        ui.notifications.error("Failed to start PF2e Inline Roll Converter. Check console for details.");
+    }
+}